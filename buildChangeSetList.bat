@@ -1,3 +1,3 @@
 @echo off
-node changeLogBuilder.js
+node changeLogBuilder.js %*
 pause
\ No newline at end of file
@@ -11,42 +11,68 @@
  * a different notation of the same data that currently doesn't have a direct use I'm aware of but I figured why not. The package.csv a file that again contains all the contents from all the packages in a more human readable
  * way that can be delivered at the end of a project, or to help keep track of everything that's been modified. Finally the script can optionally create a 'merged' folder that contains all the contents of all the packages. This
  * paired with the merged package.xml file allows you to easily deploy all contents of all the change sets in one operation.
+ * This file is the command line interface. The work is done by the modules in the lib folder, which other tools can require directly (see lib/index.js).
  */
 
-const packageStructure = '<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata"><version>48.0</version></Package>';
+const lib = require("./lib");
+const { config, defaultConfig, useConfig, loadConfig, validateConfig, runAll, listChangeSets, downloadChangeSets, importChangeSets, mergeChangeSets, reportChangeSets, validateMergedPackage, deployMergedPackage, convertToSourceFormat, watchChangeSets, stopWatching, markDeletionsDeployed, cleanOutputs, getFailures } = lib;
+const { findSimilarConfigKey, getTargetOrgs, getOrgConfig } = require("./lib/config");
+const { log, openLogFiles } = require("./lib/logger");
+const { writeOrgComponentReport } = require("./lib/output");
+const { ConfigError } = require("./lib/errors");
 const configFileName = "config.json";
-const xml2js = require("xml2js");
-const parseString = xml2js.parseString;
-const fs = require("fs");
-const path = require("path");
-const { spawn } = require("child_process");
-const { promisify } = require("util");
-const { resolve } = require("path");
-const readdir = promisify(fs.readdir);
-const stat = promisify(fs.stat);
-const cheerio = require("cheerio");
-
-//text string that denotes the beginning of the change set entries in the scraped HTML content.
-const startPosition = '<div class="pbSubsection">';
-//text string that denotes the end of the change set entries in the scraped HTML content.
-const endPosition = '<div class="pbFooter secondaryPalette">';
-
-let config = {
-    skipExistingChangeSets: true,
-    rootFolder: "packages",
-    forcePackageVersion: 50,
-    automaticallyFetchChangeSetNames: true,
-    changesetJSONFile: "changeSetNames.json",
-    createMergedPackage: true,
-    mergedPackageFolder: "__mergedPackage",
-    username: "",
-    outputFolder: "results",
+
+/**
+ * The subcommands that can be given on the command line. Each runs one step of the process so CI jobs can run only the step they need. 'run' performs every step and is used when no subcommand is given.
+ */
+const commands = {
+    run: { description: "Discover, fetch and merge change sets and write all output files. With --offline, import change sets from disk instead of discovering and fetching them. This is the default.", action: runAll, writesOutputs: true },
+    list: { description: "Scrape the names of all change sets from Salesforce and write them to [changesetJSONFile].", action: listChangeSets },
+    import: { description: "Copy the folders and extract the .zip archives listed in [importPaths], and any .zip archives in [rootFolder], into change set folders in [rootFolder]. Doesn't need the SFDX CLI.", action: importChangeSets },
+    fetch: { description: "Download the change sets named in [changesetJSONFile] (discovering them first if [automaticallyFetchChangeSetNames] is true).", action: downloadChangeSets },
+    merge: { description: "Merge the downloaded change sets and write the output files and merged package folder.", action: mergeChangeSets, writesOutputs: true },
+    report: { description: "Write the output files and conflict report from the downloaded change sets without building the merged package folder.", action: reportChangeSets, writesOutputs: true },
+    validate: { description: "Check that the merged package folder has a file for every member of its package.xml, every file is in the package.xml and all XML is well formed.", action: validateMergedPackage },
+    deploy: { description: "Deploy the merged package folder to the target org. Runs a check-only deployment unless [deployMergedPackage] is 'deploy'.", action: deployMergedPackage },
+    convert: { description: "Convert the merged package folder or each downloaded change set into source format and write it into the SFDX project.", action: convertToSourceFormat },
+    watch: { description: "Keep running and check for new change sets every [watchIntervalMinutes]. New change sets are fetched, the outputs are regenerated and [watchHook] is run with a summary.", action: watch, writesOutputs: true },
+    deployed: { description: "Mark the removed components waiting in the destructive changes as deleted, once they have been deployed by hand, so later destructive changes leave them out.", action: markDeletionsDeployed },
+    clean: { description: "Delete the merged package folder, the output folder and any scraped change set page content.", action: cleanOutputs },
+};
+
+/**
+ * Command line flags that are shorthand for a config property.
+ */
+const flagAliases = {
+    only: "onlyChangeSets",
+    merged: "createMergedPackage",
 };
 
 /**
  * @Description Entry point of script
  */
 async function init() {
+    let args;
+    try {
+        args = parseArguments(process.argv.slice(2));
+    } catch (err) {
+        log(err.message, true, "red");
+        log(getUsage(), true);
+        process.exit(1);
+    }
+
+    if (args.help) {
+        log(getUsage(), true);
+        finish();
+    }
+
+    //load the configuration from the JSON file, then apply any config properties given as command line flags on top of it.
+    let loadedConfig = loadConfig(args.configFile);
+    let overrideErrors = validateConfig(args.overrides);
+    if (overrideErrors.length > 0) throw new ConfigError(`Invalid command line options:\r\n - ${overrideErrors.join("\r\n - ")}`, { errors: overrideErrors });
+    useConfig({ ...defaultConfig, ...loadedConfig, ...args.overrides });
+    openLogFiles();
+
     log("                                    Change Log Builder 1.0!\r\n", true, "green");
     log("                                     Author: Dan Llewellyn\r\n", true);
 
@@ -55,479 +81,206 @@ async function init() {
 
     log("Started process at " + d, false);
 
-    //load the configuration from the JSON file.
-    let loadedConfig = loadConfig(configFileName);
-    config = { ...config, ...loadedConfig };
-
-    //get all of the change sets by scraping the page
-    if (config.automaticallyFetchChangeSetNames) {
-        let changeSetPageContent = await getOutboundChangeSets();
-        let changeSetNames = parseChangeSetPageContent(changeSetPageContent);
-        writeChangeSetConfigFile(changeSetNames);
+    //run the command once per org. When there is more than one org each gets its own folders so their change sets don't mix.
+    let baseConfig = { ...config };
+    let orgs = getTargetOrgs(baseConfig.username);
+    if (args.command == "watch" && orgs.length > 1) throw new ConfigError("watch can only run against one org. Start a separate watch for each org with --username.");
+    for (const org of orgs) {
+        useConfig(getOrgConfig(baseConfig, org, orgs.length > 1));
+        log(`Running command: ${args.command} against ${org ? "org " + org : "the default org"}`, orgs.length > 1);
+        await commands[args.command].action();
     }
+    useConfig(baseConfig);
 
-    //get the names of all the change sets to download. this currently comes from a hard coded file. Later it may be dynamic.
-    log(`Beginning package downloads`);
-    let changeSetsToFetchArray = readJSONFromFile(config.changesetJSONFile);
-
-    //fetch the packages/change sets using the sfdx cli
-    await fetchChangeSets(changeSetsToFetchArray);
-    log("Done fetching change sets");
-
-    //reads the contents of all the packagexml files.
-    let packageXmlData = readPackageXML(config.rootFolder);
-
-    //create our basic package XML template to add into.
-    var mergedContent = createPackageXmlTemplate();
-
-    log("Finished reading files. Starting merge");
-
-    //merge the contents of all the XML files into our template.
-    var mergedData = mergeObjects(packageXmlData, mergedContent);
-
-    //sort the resulting values;
-    mergedData = sortValues(mergedData);
-
-    //write the contents of our merged data into files.
-    writeFiles(mergedData, "package");
+    if (orgs.length > 1 && commands[args.command].writesOutputs) writeOrgComponentReport(orgs, "orgComponents");
 
     finish();
 }
 
 /**
- * @Description gets the raw HTML content of the change set page in Salesforce so we can scrape out the change set names since no API exists to fetch them natively.
+ * @Description Parses the command line arguments into the subcommand to run, the config file to load and config properties to override. Flags are in the form --configProperty value or --configProperty=value.
+ * Boolean properties can be given as --configProperty or --no-configProperty, array properties as a comma separated list and object properties as JSON.
+ * @Param args array of command line arguments, not including the node executable and script name.
+ * @Return object with the properties command, configFile, overrides and help.
  */
-async function getOutboundChangeSets() {
-    log("Getting change sets from scraped page content at /changemgmt/listOutboundChangeSet.apexp");
-
-    await runCommand("sfdx", [`force:apex:execute`, `-f getChangeSets.apex`, `>changeSetContent.txt`]);
-    log("Fetched change sets.");
-
-    let pageContent = fs.readFileSync("changeSetContent.txt", "utf8", function (err) {
-        log("Scraped change set data webpage could not be read." + err.message, true, "yellow");
-    });
-
-    //now lets remove all the junk we don't need to make it easier for the parser
-    pageContent = pageContent.replace(/[\u0000-\u001F\u007F-\u009F]/g, ""); //these damn invisible control characters took me way to long to figure out that they were messing up my searching/dom parsing.
-    pageContent = pageContent.toString("utf-8").trim();
-    pageContent = pageContent.substring(pageContent.lastIndexOf(startPosition) + 1);
-    pageContent = pageContent.split(endPosition)[0];
-
-    return pageContent.trim();
-}
-
-/**
- * @Description Parses the raw HTML content fetched by getOutboundChangeSets() to return an array containing all the change set names.
- * @Param html a string of HTML that contains the change set names fetched from the Salesforce UI
- */
-function parseChangeSetPageContent(html) {
-    log("Parsing change set HTML content to scrape change set names");
-
-    const $ = cheerio.load(html);
-
-    let packageNames = [];
-    let packageLinks = $("a");
-
-    $(packageLinks).each(function (i, link) {
-        let linkText = $(link).text();
-        let linkTarget = $(link).attr("href");
-
-        if (linkTarget && linkTarget.indexOf("changemgmt/outboundChangeSetDetailPage.apexp") > 0 && linkText != "Edit") {
-            log(`Found change set with name: ${linkText}`);
-            packageNames.push(linkText);
+function parseArguments(args) {
+    let parsed = { command: "run", configFile: configFileName, overrides: {}, help: false };
+    let positional = [];
+
+    for (let index = 0; index < args.length; index++) {
+        let arg = args[index];
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+            continue;
         }
-    });
 
-    return packageNames;
-}
-
-/**
- * @Description Writes an updated changeSetConfig file using the given names. These entries can be used next time to fetch change sets without having to scrape the UI for the names.
- * @Param changesetNames an array of strings that are names of changesets.
- */
-function writeChangeSetConfigFile(changesetNames) {
-    fs.writeFileSync(`${config.changesetJSONFile}`, JSON.stringify(changesetNames), function (err) {
-        if (err) return log(err);
-        log(`Wrote JSON Change Set File to ${config.changesetJSONFile}`);
-    });
-}
-
-/**
- * @Description Parses the raw HTML content fetched by getOutboundChangeSets() to return an array containing all the change set names.
- * @Param html a string of HTML that contains the change set names fetched from the Salesforce UI
- * @Return
- */
-function loadConfig(configFileName) {
-    return readJSONFromFile(configFileName);
-}
-
-/**
- * @Description Creates and returns the empty XML template for the merged package.xml file.
- * @Return a string containing the template of a package.xml file.
- */
-function createPackageXmlTemplate() {
-    //create our basic package XML template to add into.
-    var newPackage;
-
-    //parse the XML into javascript object.
-    parseString(packageStructure, function (err, result) {
-        newPackage = result;
-        newPackage.Package.types = [];
-    });
-
-    return newPackage;
-}
-
-/**
- * @Description Reads and parses JSON from a given file.
- * @Param fileName the name of the file to read, parse, and return.
- * @Return a JSON object.
- */
-function readJSONFromFile(fileName) {
-    const changeSetsJsonString = fs.readFileSync(fileName, function (err) {
-        log("File not found or unreadable. Skipping import" + err.message, true, "red");
-        if (err) throw err;
-    });
-
-    const parsedJSON = JSON.parse(changeSetsJsonString);
-    return parsedJSON;
-}
-
-/**
- * @Description Uses SFDX CLI to download all the given change sets.
- * @Param changeSetName an array of strings that are changeset names.
- * @Return true when all change sets have finished downloading.
- */
-async function fetchChangeSets(changeSetNames) {
-    for (const changeSetName of changeSetNames) {
-        if (config.skipExistingChangeSets && fs.existsSync(`${config.rootFolder}\\${changeSetName}`)) {
-            log(`Change set: "${changeSetName}" already exists and skipExistingChangeSets is set to true. Skipping download`);
-        } else {
-            log(`Fetching: "${changeSetName}"...`);
-
-            await runCommand("sfdx", [`force:mdapi:retrieve`, `-s`, `-r ./${config.rootFolder}`, `-p "${changeSetName}"`, `--unzip`, `--zipfilename "${changeSetName}.zip"`]);
+        let flag = arg.substring(2);
+        let value;
+        if (flag.indexOf("=") > -1) {
+            value = flag.substring(flag.indexOf("=") + 1);
+            flag = flag.substring(0, flag.indexOf("="));
         }
-    }
-
-    return true;
-}
 
-/**
- * @Description Reads all the package.xml files in direct sub folders of the root folder. Parses the XML into javascript objects, adds all objects into an array then returns it.
- * @Param rootFolder the parent folder in which to scan for downloaded changesets and extract their package.xml
- * @Return an array containing all the package.xml content translated into javascript objects.
- */
-function readPackageXML(rootFolder) {
-    let filesDataArray = [];
-
-    log(`Beginning reading of package.xml files`);
+        if (flag == "help") {
+            parsed.help = true;
+            continue;
+        }
 
-    packageFolders = getSubFolders(rootFolder);
+        if (flag == "verbose" || flag == "quiet") {
+            parsed.overrides.logLevel = flag == "verbose" ? "debug" : "warn";
+            continue;
+        }
 
-    log("Got folders: " + packageFolders);
+        let negated = flag.startsWith("no-");
+        let key = negated ? flag.substring(3) : flag;
+        if (flagAliases.hasOwnProperty(key)) key = flagAliases[key];
 
-    for (const folderName of packageFolders) {
-        log(`Reading package from: ${rootFolder}\\${folderName}\\package.xml`);
+        if (key == "config" && !negated) {
+            if (value == null) value = args[++index];
+            if (value == null || value.startsWith("--")) throw new Error("--config requires the path of a config file. Ex: --config myConfig.json");
+            parsed.configFile = value;
+            continue;
+        }
 
-        var content = fs.readFileSync(`${rootFolder}\\${folderName}\\package.xml`).toString();
+        if (!defaultConfig.hasOwnProperty(key)) throw new Error(`Unknown option --${flag}.${getFlagSuggestion(key)}`);
 
-        //parse the read XML into a javascript object.
-        parseString(content, function (err, result) {
-            if (err) {
-                log("Error parsing XML! " + JSON.stringify(err, null, 2), true, "red");
+        if (typeof defaultConfig[key] == "boolean") {
+            if (negated) {
+                if (value != null) throw new Error(`--${flag} does not take a value.`);
+                value = "false";
+            } else if (value == null) {
+                value = args[index + 1] == "true" || args[index + 1] == "false" ? args[++index] : "true";
             }
-            filesDataArray.push(result);
-        });
-    }
-    return filesDataArray;
-}
-
-/**
- * @Description Copies all the contents of all the folders in the rootFolder into the targetFolder. This creates a master/merged package folder that contains all the content of all the other change sets.
- * @Param rootFolder the parent folder in which to copy contents from
- * @Param targetFolder the folder to copy all the folder contents into.
- * @Return true when finished.
- */
-function buildMergedPackageFolder(rootFolder, targetFolder) {
-    log(`Building merged package into folder... ${rootFolder}\\${targetFolder}`);
-
-    packageFolders = getSubFolders(rootFolder);
-
-    for (const folderName of packageFolders) {
-        //skip copying the contents of the target folder into itself.
-        if (folderName == targetFolder) continue;
-
-        log(`Reading package from: ${rootFolder}\\${folderName}`);
+        } else {
+            if (negated) throw new Error(`--${flag} is not valid because ${key} is not a true/false option.`);
+            if (value == null) value = args[++index];
+            if (value == null || value.startsWith("--")) throw new Error(`--${flag} requires a value.`);
+        }
 
-        copyRecursiveSync(`${rootFolder}\\${folderName}`, `${rootFolder}\\${targetFolder}`);
+        parsed.overrides[key] = coerceArgumentValue(flag, key, value);
     }
 
-    return true;
-}
-
-/**
- * @Description Copies Copies all contents of a source folder into a destination folder.
- * @Param src path of source folder to copy all contents from.
- * @Param dest path of destination folder to put all copied contents into.
- * @Return true when finished.
- */
-function copyRecursiveSync(src, dest) {
-    var exists = fs.existsSync(src);
-    var stats = exists && fs.statSync(src);
-    var isDirectory = exists && stats.isDirectory();
-
-    if (isDirectory) {
-        if (!fs.existsSync(dest)) fs.mkdirSync(dest);
-        fs.readdirSync(src).forEach(function (childItemName) {
-            copyRecursiveSync(path.join(src, childItemName), path.join(dest, childItemName));
-        });
-    } else {
-        fs.copyFileSync(src, dest);
+    if (positional.length > 1) throw new Error(`Only one command can be given but got: ${positional.join(", ")}`);
+    if (positional.length == 1) {
+        if (!commands.hasOwnProperty(positional[0])) throw new Error(`Unknown command "${positional[0]}". Valid commands are: ${Object.keys(commands).join(", ")}`);
+        parsed.command = positional[0];
     }
 
-    return true;
-}
-
-/**
- * @Description Gets all the folders in the given root folder.
- * @Param root folder to find all subdirectories of.
- * @Return array of strings containing direct sub folder names.
- */
-function getSubFolders(rootFolder) {
-    return fs.readdirSync(rootFolder).filter(function (file) {
-        return fs.statSync(rootFolder + "/" + file).isDirectory();
-    });
+    return parsed;
 }
 
 /**
- * @Description Merges together an array of package.xml files (as strings) into one javascript object containing all the data of all the provided elements.
- * @Param filesDataArray an array of strings that represent package.xml files to merge together.
- * @Param packageObject the object to merge the packages into.
- * @Return a single javascript object that contains all the keys/values of the objects provided inthe filesDataArray
+ * @Description Converts the string value of a command line flag into the same type as the config property it overrides.
+ * @Param flag the flag as it was given, used for error messages.
+ * @Param key the name of the config property the flag overrides.
+ * @Param value the string value given for the flag.
+ * @Return the value converted to a boolean, number, array, object or string.
  */
-function mergeObjects(filesDataArray, packageObject) {
-    filesDataArray.forEach(function (thisFile, index) {
-        if (!packageObject) packageObject = {};
-        if (thisFile && thisFile.hasOwnProperty("Package") && thisFile.Package.hasOwnProperty("types")) {
-            thisFile.Package.types.forEach(function (thisType, index2) {
-                log("Writing " + thisType.members.length + " members to " + thisType.name);
-                packageObject = appendTypesToPackage(String(thisType.name), thisType.members, packageObject);
-            });
-        } else {
-            log("Malfomred or empty packaged file: " + index, true, "red");
-        }
-    });
-
-    return packageObject;
-}
+function coerceArgumentValue(flag, key, value) {
+    let defaultValue = defaultConfig[key];
 
-/**
- * @Description Writes the resulting files from the given objectData. This creates a package.xml, a package.json, and a package.csv that contain provided data. Additionally if createMergedPackage is true in the config
- * this will create the mergedPackage folder, populate it with all contents and write the merged package.xml file into the newly created folder so it is deployable.
- * @Param objectData a javascript object that contains all the properties and values needed to create a package.xml file and its related files. This should be generated by the mergeObjects() functions.
- * @Param filename the name to use for all the generated files. This should pretty much always be 'package'.
- */
-function writeFiles(objectData, filename) {
-    objectData.Package.types = objectData.Package.types.sort((a, b) => (a.name > b.name ? 1 : -1));
-    if (config.forcePackageVersion != null) {
-        objectData.Package.version = config.forcePackageVersion;
+    if (typeof defaultValue == "boolean") {
+        if (value != "true" && value != "false") throw new Error(`--${flag} expects true or false but got "${value}".`);
+        return value == "true";
     }
-    log("Writing new package.xml...");
-
-    let configAsJson = JSON.stringify(objectData, undefined, 2);
-    let builder = new xml2js.Builder();
-    let xml = builder.buildObject(objectData);
-
-    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
-
-    //write the contents as JSON
-    fs.writeFileSync(`${config.outputFolder}\\${filename}.json`, configAsJson, function (err) {
-        if (err) return log(err);
-        log("The JSON file was created!");
-    });
-
-    //write the contents as XML
-    fs.writeFileSync(`${config.outputFolder}\\${filename}.xml`, xml, function (err) {
-        if (err) return log(err);
-        log("The XML file was created");
-    });
-
-    //write the contents as XML
-    fs.writeFileSync(`${config.outputFolder}\\${filename}.csv`, jsonToCSV(objectData), function (err) {
-        if (err) return log(err);
-        log("The XML file was created");
-    });
-
-    if (config.createMergedPackage) {
-        //copy all files from all the package folders into our merged package folder
-        buildMergedPackageFolder(config.rootFolder, config.mergedPackageFolder);
-
-        //write our merged package xml into that folder as well.
-        fs.writeFileSync(`${config.rootFolder}\\${config.mergedPackageFolder}\\package.xml`, xml, function (err) {
-            if (err) return log(err);
-            log("The merged xml package file was created!");
-        });
+    if (typeof defaultValue == "number") {
+        if (value.trim() == "" || isNaN(Number(value))) throw new Error(`--${flag} expects a number but got "${value}".`);
+        return Number(value);
     }
-}
-
-/**
- * @Description Converts a JSON object that represents a package.xml file into a CSV formatted string that can then be written to a file. Each 'type' will be a column header and each 'member' will be a row.
- * this will create the mergedPackage folder, populate it with all contents and write the merged package.xml file into the newly created folder so it is deployable.
- * @Param packageAsJsonObject a JSON object created from a package.xml file.
- * @Return a string representing a CSV file with all the contents of the provided packageAsJsonObject
- */
-function jsonToCSV(packageAsJsonObject) {
-    let csvString = "";
-    let colValues = [];
-    let rows = [];
-    let rowLimit = 0;
-    //create the header row
-    for (const index in packageAsJsonObject.Package.types) {
-        csvString += packageAsJsonObject.Package.types[index].name + ",";
-        colValues.push(packageAsJsonObject.Package.types[index].members);
-        if (packageAsJsonObject.Package.types[index].members.length > rowLimit) rowLimit = packageAsJsonObject.Package.types[index].members.length;
+    if (Array.isArray(defaultValue)) {
+        return value
+            .split(",")
+            .map((entry) => entry.trim())
+            .filter((entry) => entry.length > 0);
     }
-    csvString += "\r\n";
-    for (let index = 0; index < rowLimit; index++) {
-        let row = "";
-        for (col in colValues) {
-            if (colValues[col][index]) row += colValues[col][index] + ",";
-            else row += '"",';
+    if (defaultValue != null && typeof defaultValue == "object") {
+        let parsedValue;
+        try {
+            parsedValue = JSON.parse(value);
+        } catch (err) {
+            throw new Error(`--${flag} expects a JSON object but the value could not be parsed: ${err.message}`);
         }
-        row += "\r\n";
-        csvString += row;
+        if (parsedValue == null || typeof parsedValue != "object" || Array.isArray(parsedValue)) throw new Error(`--${flag} expects a JSON object. Ex: --${flag} '{"key":"value"}'`);
+        return parsedValue;
     }
-
-    return csvString;
+    return value;
 }
 
 /**
- * @Description Merges the 'members' elements of the 'types' properties of a given package object. Used by the mergePacakge function to combine package contents together.
- * @Param typeName the name of the 'type' property to merge. Such as ApexTrigger or CustomField, etc.
- * @Param the new list of 'member' entries to merge into the package object.
- * @Param packageObject the merged package into which these new members should be merged.
- * @Param modified packageObject with new unique members merged into the propert type.
+ * @Description Finds a config property with a name similar to an unknown flag so the error message can suggest it.
+ * @Param key the unknown flag name.
+ * @Return a sentence suggesting the similar flag, or an empty string if none was found.
  */
-function appendTypesToPackage(typeName, members, packageObject) {
-    //ensure the incoming package object has the types property. If not, initialize it
-    if (!packageObject.Package.hasOwnProperty("types")) packageObject.Package.types = [];
-    let matchFound = false;
-
-    //iterate over every type in our package object.
-    packageObject.Package.types.forEach(function (thisType, index2) {
-        let thisTypeName = String(thisType.name);
-
-        //if the currently iterated type matches the one provided in the function all, then we want to set the members property to an array of those two array merged together and de-duplicated.
-        if (thisTypeName == typeName) {
-            thisType.members = getUnique(thisType.members.concat(members));
-            matchFound = true;
-            return packageObject;
-        }
-    });
-
-    if (!matchFound) {
-        let dataObject = { name: typeName, members: getUnique(members) };
-        packageObject.Package.types.push(dataObject);
-    }
-
-    return packageObject;
+function getFlagSuggestion(key) {
+    let match = findSimilarConfigKey(key);
+    return match ? ` Did you mean --${match}?` : " Run with --help to see all options.";
 }
 
 /**
- * @Description Deduplicates an array to only provide unqiue elements.
- * @Param array an array to de-duplicate
- * @Return Array with duplicate values removed.
+ * @Description Builds the help text listing all the commands and flags.
+ * @Return a string containing the usage instructions.
  */
-function getUnique(array) {
-    var uniqueArray = [];
-
-    // Loop through array values
-    for (i = 0; i < array.length; i++) {
-        if (uniqueArray.indexOf(array[i]) === -1) {
-            uniqueArray.push(array[i]);
-        }
+function getUsage() {
+    let usage = "Usage: node changeLogBuilder.js [command] [--config file] [--configProperty value ...]\r\n\r\nCommands:\r\n";
+    let nameWidth = Math.max(...Object.keys(commands).map((name) => name.length)) + 2;
+    for (const [name, command] of Object.entries(commands)) usage += `  ${name.padEnd(nameWidth)}${command.description}\r\n`;
+
+    usage += "\r\nOptions:\r\n";
+    usage += `  ${"--config <file>".padEnd(42)}Config file to load. Default: ${configFileName}\r\n`;
+    usage += `  ${"--only <names>".padEnd(42)}Shorthand for --onlyChangeSets\r\n`;
+    usage += `  ${"--no-merged".padEnd(42)}Shorthand for --no-createMergedPackage\r\n`;
+    usage += `  ${"--verbose".padEnd(42)}Shorthand for --logLevel debug\r\n`;
+    usage += `  ${"--quiet".padEnd(42)}Shorthand for --logLevel warn\r\n`;
+    for (const [key, defaultValue] of Object.entries(defaultConfig)) {
+        let flag = typeof defaultValue == "boolean" ? `--[no-]${key}` : `--${key} <${Array.isArray(defaultValue) ? "a,b,c" : typeof defaultValue == "object" ? "json" : typeof defaultValue}>`;
+        usage += `  ${flag.padEnd(42)}Default: ${JSON.stringify(defaultValue)}\r\n`;
     }
-    return uniqueArray;
-}
+    usage += `  ${"--help".padEnd(42)}Show this message`;
 
-/**
- * @Description Sorts all the member values of the types properties of the package object.
- * @Param packageObject a javascript object that represents a package.xml file
- * @Return javascript object with the members array of each types entry sorted.
- */
-function sortValues(packageObject) {
-    packageObject.Package.types.forEach(function (thisType, index2) {
-        thisType.members.sort();
-    });
-
-    return packageObject;
-}
-
-/**
- * @Description Runs a shell command.
- * @Param command the name of the command to execute WITHOUT any arguments.
- * @Param arguments an array of arguments to pass to the command.
- * @Return javascript promise object that contains the result of the command execution
- */
-function runCommand(command, arguments) {
-    let p = spawn(command, arguments, { shell: true, windowsVerbatimArguments: true });
-    return new Promise((resolveFunc) => {
-        p.stdout.on("data", (x) => {
-            process.stdout.write(x.toString());
-            log(x.toString());
-        });
-        p.stderr.on("data", (x) => {
-            process.stderr.write(x.toString());
-            log(x.toString());
-        });
-        p.on("exit", (code) => {
-            resolveFunc(code);
-        });
-    });
+    return usage;
 }
 
 /**
- * @Description Creates a log entry in the log file, and optionally displays log entry to the terminal window with requested color.
- * @Param logItem a string of data to log
- * @Param printToScreen boolean flag indicating if this entry should be printed to the screen (true) or only to the log file (false)
- * @Param a string {'red','green','yellow'} that indicates what color the logItem should be printed in on the screen..
+ * @Description Runs watch mode until the process is interrupted. The first Ctrl+C lets the current check finish before stopping, a second one exits straight away.
  */
-function log(logItem, printToScreen, color) {
-    printToScreen = printToScreen != null ? printToScreen : true;
-    var colorCode = "";
-    switch (color) {
-        case "red":
-            colorCode = "\x1b[31m";
-            break;
-        case "green":
-            colorCode = "\x1b[32m";
-            break;
-        case "yellow":
-            colorCode = "\x1b[33m";
-    }
-
-    if (printToScreen) console.log(colorCode + "" + logItem + "\x1b[0m");
-
-    fs.appendFile("log.txt", logItem + "\r\n", function (err) {
-        if (err) throw err;
+async function watch() {
+    process.once("SIGTERM", stopWatching);
+    process.once("SIGINT", function () {
+        log("Stopping after the current check. Press Ctrl+C again to stop now.", true, "yellow");
+        stopWatching();
+        process.once("SIGINT", () => process.exit(130));
     });
+    await watchChangeSets();
 }
 
 /**
- * @Description Method that executes at the end of a successful script run. Exits the program.
+ * @Description Method that executes at the end of a script run. Exits the program with a non-zero exit code if anything failed along the way (a failure was recorded or process.exitCode was set), otherwise zero.
  */
 function finish() {
-    log("Process completed", true, "yellow");
-    log("\r\n\r\n------------------------------------------------ ", false);
-    process.exit(1);
+    if (getFailures().length > 0) process.exitCode = 1;
+    log(process.exitCode ? "Process completed with failures" : "Process completed", true, process.exitCode ? "red" : "yellow");
+    process.exit(process.exitCode || 0);
 }
 
 /**
  * @Description Method that executes on an uncaught error.
+ * @Param err the error that was thrown.
  */
-process.on("uncaughtException", (err) => {
+function handleUncaughtException(err) {
     log(err, true, "red");
+    if (err && err.stack) log(err.stack, false);
     process.exit(1); //mandatory (as per the Node docs)
-});
+}
+
+//only run when started from the command line, so the argument parsing can be required by the tests.
+if (require.main === module) {
+    process.on("uncaughtException", handleUncaughtException);
+    init();
+}
 
-init();
+module.exports = {
+    commands,
+    parseArguments,
+    coerceArgumentValue,
+    getUsage,
+};
@@ -0,0 +1,115 @@
+/**
+ * @Description Runs the SFDX CLI, git and other external commands.
+ */
+
+const { spawn, execFileSync } = require("child_process");
+const { config } = require("./config");
+const { log } = require("./logger");
+const { ChangeLogBuilderError, GitError } = require("./errors");
+
+/**
+ * @Description Runs a git command in the working folder and waits for it to finish.
+ * @Param args an array of arguments to pass to git.
+ * @Param env optional environment variables for the command. Defaults to the environment of this process.
+ * @Param input optional string to write to the command's standard input.
+ * @Return the trimmed standard output of the command.
+ */
+function runGit(args, env, input) {
+    try {
+        return execFileSync("git", args, { encoding: "utf8", env: env || process.env, input: input, stdio: ["pipe", "pipe", "pipe"] }).trim();
+    } catch (err) {
+        throw new GitError(`git ${args[0]} failed: ${(err.stderr || err.message).toString().trim()}`);
+    }
+}
+
+/**
+ * @Description Gets the result object from the JSON output of an SFDX CLI command run with --json. Failed commands still return JSON, so the result of a failed deployment can be read too.
+ * @Param commandResult the result object of runCommand()
+ * @Return the 'result' property of the JSON output, or an object with a message property if there isn't one.
+ */
+function parseSfdxJson(commandResult) {
+    let json;
+    try {
+        json = JSON.parse(commandResult.stdout.substring(commandResult.stdout.indexOf("{")));
+    } catch (err) {
+        throw new ChangeLogBuilderError(`Could not read the JSON output of sfdx (exit code ${commandResult.code}): ${err.message}`, { code: commandResult.code, output: commandResult.output });
+    }
+    return json.result || json.data || { message: json.message };
+}
+
+/**
+ * @Description Runs a command. Arguments are passed to the command as they are, without going through a shell, so change set names and paths can't be interpreted as shell syntax.
+ * Windows can only run .cmd files such as sfdx through cmd.exe, so there the command line is built with every argument quoted and escaped for cmd.
+ * @Param command the name of the command to execute WITHOUT any arguments, or a whole shell command line if useShell is true.
+ * @Param arguments an array of arguments to pass to the command.
+ * @Param env optional environment variables for the command. Defaults to the environment of this process.
+ * @Param useShell optional. If true the command is run as a command line by the system shell, for commands written by the user such as watchHook.
+ * @Return javascript promise object that resolves to an object with the properties code (the exit code of the command), output (everything the command wrote to stdout and stderr) and stdout.
+ */
+function runCommand(command, arguments, env, useShell) {
+    let options = { env: env || process.env };
+    let p;
+    if (useShell) p = spawn(command, arguments, { ...options, shell: true });
+    else if (process.platform == "win32") p = spawn(process.env.comspec || "cmd.exe", ["/d", "/s", "/c", `"${toWindowsCommandLine(command, arguments)}"`], { ...options, windowsVerbatimArguments: true });
+    else p = spawn(command, arguments, options);
+
+    let output = "";
+    let stdout = "";
+    return new Promise((resolveFunc) => {
+        p.stdout.on("data", (x) => {
+            output += x.toString();
+            stdout += x.toString();
+        });
+        p.stderr.on("data", (x) => {
+            output += x.toString();
+        });
+        //a command that can't be started (such as sfdx not being installed) still closes afterwards, with a negative exit code.
+        p.on("error", (err) => {
+            output += `${err.message}\r\n`;
+        });
+        //close rather than exit so all the output has been read before resolving.
+        //the raw output is only shown with --verbose. Callers report anything that matters from it.
+        p.on("close", (code) => {
+            if (output.trim()) log(`${[command, ...arguments.slice(0, 1)].join(" ")} exited with code ${code}:\r\n${output.trim()}`, false);
+            resolveFunc({ code: code, output: output, stdout: stdout });
+        });
+    });
+}
+
+/**
+ * @Description Builds a command line that cmd.exe passes on with every argument exactly as given. Each argument is quoted for the program's own argument parsing, then cmd's special characters are escaped
+ * with ^ twice, since running a .cmd file makes cmd read the arguments a second time.
+ * @Param command the name of the command.
+ * @Param arguments an array of arguments to pass to the command.
+ * @Return the command line.
+ */
+function toWindowsCommandLine(command, arguments) {
+    const specialCharacters = /([()\][%!^"`<>&|;, *?])/g;
+    let quotedArguments = arguments.map(function (argument) {
+        let quoted = `"${String(argument)
+            .replace(/(\\*)"/g, '$1$1\\"')
+            .replace(/(\\*)$/, "$1$1")}"`;
+        return quoted.replace(specialCharacters, "^$1").replace(specialCharacters, "^$1");
+    });
+    return [command.replace(specialCharacters, "^$1"), ...quotedArguments].join(" ");
+}
+
+/**
+ * @Description Runs an SFDX CLI command against the org set in the username config property. If no username is set the default org of the SFDX project is used.
+ * @Param arguments an array of arguments to pass to sfdx. The first should be the name of the sfdx command and each value should be its own entry, without quotes.
+ * @Param targetOrg optional username/alias of the org to run against instead of the username config property.
+ * @Return javascript promise object that contains the result of the command execution
+ */
+function runSfdxCommand(arguments, targetOrg) {
+    targetOrg = targetOrg || config.username;
+    if (targetOrg) arguments = [arguments[0], "-u", targetOrg, ...arguments.slice(1)];
+    return runCommand("sfdx", arguments);
+}
+
+module.exports = {
+    runGit,
+    parseSfdxJson,
+    runCommand,
+    toWindowsCommandLine,
+    runSfdxCommand,
+};
@@ -0,0 +1,252 @@
+/**
+ * @Description The config shared by every module, along with loading and validating config files and building the config used for each org.
+ * The config object is never replaced, only updated with useConfig(), so every module that required it sees the current values.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readJSONFromFile, getUnique, toFolderName } = require("./utils");
+const { ConfigError } = require("./errors");
+
+/**
+ * The default value of every config property. The type of each default is the type the property must have unless configSchema says otherwise.
+ */
+const defaultConfig = Object.freeze({
+    skipExistingChangeSets: true,
+    rootFolder: "packages",
+    forcePackageVersion: 50,
+    automaticallyFetchChangeSetNames: true,
+    changesetJSONFile: "changeSetNames.json",
+    createMergedPackage: true,
+    mergedPackageFolder: "__mergedPackage",
+    username: "",
+    outputFolder: "results",
+    createConflictReport: true,
+    mergeOrder: "name",
+    mergePriority: [],
+    mergeOverrides: {},
+    failOnMergeCollisions: true,
+    onlyChangeSets: [],
+    createInventory: true,
+    createSnapshot: true,
+    compareToSnapshot: "",
+    createDestructiveChanges: false,
+    destructiveChangesType: "post",
+    deletedComponentsFile: "",
+    convertToSource: "none",
+    sourcePackageDirectory: "",
+    gitCommitMode: "none",
+    changeSetDiscovery: "scrape",
+    discoverInboundChangeSets: true,
+    includeChangeSets: [],
+    excludeChangeSets: [],
+    uploadedAfter: "",
+    uploadedBefore: "",
+    sinceLastRun: false,
+    interactive: false,
+    maxConcurrentDownloads: 3,
+    downloadRetries: 3,
+    retryDelaySeconds: 10,
+    validateMergedPackage: true,
+    deployMergedPackage: "none",
+    deployTargetOrg: "",
+    deployTestLevel: "RunLocalTests",
+    deployTests: [],
+    deployPollSeconds: 15,
+    deployWaitMinutes: 60,
+    createHtmlReport: true,
+    logLevel: "info",
+    jsonLog: false,
+    offline: false,
+    importPaths: [],
+    watchIntervalMinutes: 15,
+    watchHook: "",
+});
+
+/**
+ * The config used by every module. Starts as a copy of the defaults.
+ */
+const config = { ...defaultConfig };
+
+/**
+ * Rules for config properties that are more specific than the type of their default value. Every other property must have the same type as its default value, and lists must only contain strings.
+ * types lists the allowed types ('string', 'number', 'boolean', 'array', 'object', 'null'), values the allowed values and min the smallest allowed number.
+ */
+const configSchema = {
+    username: { types: ["string", "array"] },
+    forcePackageVersion: { types: ["number", "string", "null"] },
+    mergeOrder: { values: ["name", "date", "changeSetList", "priority"] },
+    destructiveChangesType: { values: ["pre", "post"] },
+    convertToSource: { values: ["none", "merged", "changeSets"] },
+    gitCommitMode: { values: ["none", "commit", "branch"] },
+    maxConcurrentDownloads: { min: 1 },
+    downloadRetries: { min: 0 },
+    retryDelaySeconds: { min: 0 },
+    deployMergedPackage: { values: ["none", "validate", "deploy"] },
+    deployTestLevel: { values: ["NoTestRun", "RunSpecifiedTests", "RunLocalTests", "RunAllTestsInOrg"] },
+    deployPollSeconds: { min: 0 },
+    deployWaitMinutes: { min: 0 },
+    logLevel: { values: ["debug", "info", "warn", "error"] },
+    watchIntervalMinutes: { min: 1 },
+};
+
+/**
+ * @Description Gets the list of orgs to run against from the username config property, which can be a single username/alias, a comma separated list or an array.
+ * @Param username the value of the username config property.
+ * @Return array of unique usernames/aliases. Contains a single empty string when no username is set, meaning the default SFDX org.
+ */
+function getTargetOrgs(username) {
+    let orgs = Array.isArray(username) ? username : String(username || "").split(",");
+    orgs = orgs.map((org) => String(org).trim()).filter((org) => org.length > 0);
+    return orgs.length > 0 ? getUnique(orgs) : [""];
+}
+
+/**
+ * @Description Creates the config used while running against a single org. When namespaced, the rootFolder and outputFolder get a sub folder named for the org and the change set JSON file gets the org name appended
+ * so the change sets and outputs of each org are kept apart.
+ * @Param baseConfig the config loaded from the config file and command line.
+ * @Param org the username/alias of the org, or an empty string for the default org.
+ * @Param namespaced should the folders and change set file be specific to this org?
+ * @Return a new config object with username set to the single org.
+ */
+function getOrgConfig(baseConfig, org, namespaced) {
+    let orgConfig = { ...baseConfig, username: org };
+    if (!namespaced) return orgConfig;
+
+    let orgFolder = toFolderName(org);
+    let changesetFile = path.parse(baseConfig.changesetJSONFile);
+    orgConfig.rootFolder = path.join(baseConfig.rootFolder, orgFolder);
+    orgConfig.outputFolder = path.join(baseConfig.outputFolder, orgFolder);
+    orgConfig.changesetJSONFile = path.join(changesetFile.dir, `${changesetFile.name}.${orgFolder}${changesetFile.ext}`);
+
+    return orgConfig;
+}
+
+/**
+ * @Description Finds a config property with a name similar to an unknown one: the same name in a different case, or a name that starts with it or that it starts with.
+ * @Param key the unknown property name.
+ * @Return the name of the similar config property, or undefined if there isn't one.
+ */
+function findSimilarConfigKey(key) {
+    let lowerKey = key.toLowerCase();
+    let configKeys = Object.keys(defaultConfig);
+    return (
+        configKeys.find((configKey) => configKey.toLowerCase() == lowerKey) ||
+        configKeys.find((configKey) => configKey.toLowerCase().startsWith(lowerKey)) ||
+        configKeys.find((configKey) => lowerKey.startsWith(configKey.toLowerCase()))
+    );
+}
+
+/**
+ * @Description Loads the configuration properties from the given JSON file.
+ * @Param configFileName the name of the JSON file to load.
+ * @Return javascript object containing the config properties.
+ */
+function loadConfig(configFileName) {
+    if (!fs.existsSync(configFileName)) throw new ConfigError(`Config file ${configFileName} does not exist.`);
+
+    let loadedConfig;
+    try {
+        loadedConfig = readJSONFromFile(configFileName);
+    } catch (err) {
+        throw new ConfigError(`Config file ${configFileName} could not be read: ${err.message}`);
+    }
+    if (loadedConfig == null || typeof loadedConfig != "object" || Array.isArray(loadedConfig)) throw new ConfigError(`${configFileName} must contain a JSON object of config properties.`);
+
+    let errors = validateConfig(loadedConfig);
+    if (errors.length > 0) throw new ConfigError(`${configFileName} is not valid:\r\n - ${errors.join("\r\n - ")}`, { errors: errors });
+    return loadedConfig;
+}
+
+/**
+ * @Description Reads the JSON file named by a config property, such as the change set JSON file.
+ * @Param key the name of the config property that holds the file name.
+ * @Return the parsed contents of the file.
+ */
+function readConfigJSONFile(key) {
+    let fileName = config[key];
+    if (!fs.existsSync(fileName)) throw new ConfigError(`${fileName} (set in ${key}) does not exist.`);
+
+    try {
+        return readJSONFromFile(fileName);
+    } catch (err) {
+        throw new ConfigError(`${fileName} (set in ${key}) could not be read: ${err.message}`);
+    }
+}
+
+/**
+ * @Description Reads the names of the change sets to fetch from the change set JSON file.
+ * @Return array of change set names.
+ */
+function readChangeSetNames() {
+    let changeSetNames = readConfigJSONFile("changesetJSONFile");
+    if (!Array.isArray(changeSetNames) || changeSetNames.some((name) => typeof name != "string")) {
+        throw new ConfigError(`${config.changesetJSONFile} (set in changesetJSONFile) must contain a JSON array of change set names.`);
+    }
+    return changeSetNames;
+}
+
+/**
+ * @Description Checks config properties against the default config and configSchema. Unknown properties, values of the wrong type and values that aren't allowed are reported.
+ * @Param settings object of config properties to check.
+ * @Return array of error messages. Empty if the properties are valid.
+ */
+function validateConfig(settings) {
+    let errors = [];
+    const getType = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+    for (const [key, value] of Object.entries(settings)) {
+        if (!defaultConfig.hasOwnProperty(key)) {
+            let match = findSimilarConfigKey(key);
+            errors.push(`Unknown property "${key}".${match ? ` Did you mean "${match}"?` : ""}`);
+            continue;
+        }
+
+        let rules = configSchema[key] || {};
+        let types = rules.types || [getType(defaultConfig[key])];
+        if (types.indexOf(getType(value)) == -1) {
+            errors.push(`"${key}" must be of type ${types.join(" or ")} but is ${getType(value)}.`);
+            continue;
+        }
+
+        if (Array.isArray(value) && value.some((entry) => typeof entry != "string")) errors.push(`"${key}" must be a list of strings.`);
+
+        if (rules.values && rules.values.indexOf(value) == -1) errors.push(`"${key}" is "${value}" but must be one of: ${rules.values.join(", ")}.`);
+        if (rules.min != null && value < rules.min) errors.push(`"${key}" must be at least ${rules.min} but is ${value}.`);
+    }
+
+    return errors;
+}
+
+/**
+ * @Description Replaces the values of the shared config object with the given ones. Properties that aren't given are removed, so pass a complete config (such as { ...defaultConfig, ...changes }).
+ * @Param settings object of config properties to use.
+ * @Return the shared config object.
+ */
+function useConfig(settings) {
+    Object.keys(config).forEach((key) => delete config[key]);
+    return Object.assign(config, settings);
+}
+
+/**
+ * @Description Stops a step that needs the SFDX CLI from running when offline is true.
+ * @Param stepName a description of the step, used in the error message.
+ */
+function requireOnline(stepName) {
+    if (config.offline) throw new ConfigError(`${stepName} needs the SFDX CLI, so it can't be run in offline mode.`);
+}
+
+module.exports = {
+    defaultConfig,
+    config,
+    configSchema,
+    useConfig,
+    getTargetOrgs,
+    getOrgConfig,
+    findSimilarConfigKey,
+    loadConfig,
+    readConfigJSONFile,
+    readChangeSetNames,
+    validateConfig,
+    requireOnline,
+};
@@ -0,0 +1,128 @@
+/**
+ * @Description Converts metadata API format folders into SFDX source format and writes them into the project.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { readJSONFromFile, getFilesRecursive, hashFile, toCSVValue } = require("./utils");
+const { config, requireOnline } = require("./config");
+const { log } = require("./logger");
+const { runCommand } = require("./command");
+const { getMergeOrder } = require("./manifest");
+const { ConfigError, ConversionError } = require("./errors");
+
+/**
+ * @Description Converts the merged package folder, or each downloaded change set in merge order, from metadata API format into source format using the SFDX CLI and copies the result into the package directory
+ * of the SFDX project. Writes a report of every file that was created, overwritten or left unchanged.
+ */
+async function convertToSourceFormat() {
+    requireOnline("Source conversion");
+
+    let changeSetFolders;
+    if (config.convertToSource == "merged") changeSetFolders = [config.mergedPackageFolder];
+    else if (config.convertToSource == "changeSets") changeSetFolders = getMergeOrder(config.rootFolder);
+    else throw new ConfigError(`Invalid convertToSource "${config.convertToSource}". Valid values are: none, merged, changeSets`);
+
+    log(`Converting ${config.convertToSource == "merged" ? "merged package" : "change sets"} into source format`);
+
+    writeSourceConversionReport(await convertFoldersToSource(changeSetFolders), "sourceConversion");
+}
+
+/**
+ * @Description Converts the given package folders, in order, from metadata API format into source format and copies the result into the package directory of the SFDX project.
+ * @Param changeSetFolders array of package folder names in the root folder to convert. When more than one folder contains the same file, later folders overwrite earlier ones.
+ * @Return array of objects with the properties file (path relative to the working directory), changeSet and status (created, overwritten or unchanged compared to the project before conversion).
+ */
+async function convertFoldersToSource(changeSetFolders) {
+    let packageDirectory = getSourcePackageDirectory();
+    let convertedFiles = {};
+    let originalHashes = {};
+
+    for (const folderName of changeSetFolders) {
+        let packageFolder = path.join(config.rootFolder, folderName);
+        if (!fs.existsSync(packageFolder)) throw new ConversionError(`Cannot convert ${packageFolder} because it does not exist. Build the merged package first.`);
+
+        //convert into a temp folder first so we can tell which files in the project are new and which get overwritten.
+        let tempFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-"));
+        try {
+            let exitCode = (await runCommand("sfdx", [`force:mdapi:convert`, `-r`, packageFolder, `-d`, tempFolder])).code;
+            if (exitCode != 0) throw new ConversionError(`sfdx force:mdapi:convert failed for ${packageFolder} with exit code ${exitCode}`);
+
+            for (const fileName of getFilesRecursive(tempFolder)) {
+                let sourceFile = path.join(tempFolder, fileName);
+                let targetFile = path.join(packageDirectory, fileName);
+                let key = fileName.split(path.sep).join("/");
+
+                //when several change sets write the same file, what matters is how it compares to the project file from before any of them were written.
+                if (!originalHashes.hasOwnProperty(key)) originalHashes[key] = fs.existsSync(targetFile) ? hashFile(targetFile) : null;
+
+                if (!fs.existsSync(path.dirname(targetFile))) fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+                fs.copyFileSync(sourceFile, targetFile);
+                convertedFiles[key] = { file: path.relative(process.cwd(), targetFile).split(path.sep).join("/"), changeSet: folderName };
+            }
+        } finally {
+            fs.rmSync(tempFolder, { recursive: true, force: true });
+        }
+    }
+
+    for (const [key, convertedFile] of Object.entries(convertedFiles)) {
+        let originalHash = originalHashes[key];
+        convertedFile.status = originalHash == null ? "created" : originalHash == hashFile(path.join(packageDirectory, key)) ? "unchanged" : "overwritten";
+    }
+
+    return Object.values(convertedFiles);
+}
+
+/**
+ * @Description Finds the package directory in sfdx-project.json to write converted source into. Uses sourcePackageDirectory from the config if set, otherwise the default package directory.
+ * @Return the path of the package directory.
+ */
+function getSourcePackageDirectory() {
+    let projectFolder = path.resolve(process.cwd());
+    while (!fs.existsSync(path.join(projectFolder, "sfdx-project.json"))) {
+        if (path.dirname(projectFolder) == projectFolder) throw new ConversionError(`Could not find sfdx-project.json in ${process.cwd()} or any of its parent folders. Source conversion needs to run inside an SFDX project.`);
+        projectFolder = path.dirname(projectFolder);
+    }
+
+    let project = readJSONFromFile(path.join(projectFolder, "sfdx-project.json"));
+    let packageDirectories = project.packageDirectories || [];
+    let packageDirectory;
+    if (config.sourcePackageDirectory) {
+        packageDirectory = packageDirectories.find((directory) => path.normalize(directory.path) == path.normalize(config.sourcePackageDirectory));
+        if (!packageDirectory) {
+            throw new ConfigError(`sourcePackageDirectory "${config.sourcePackageDirectory}" is not in sfdx-project.json. Package directories are: ${packageDirectories.map((directory) => directory.path).join(", ")}`);
+        }
+    } else {
+        packageDirectory = packageDirectories.find((directory) => directory.default) || packageDirectories[0];
+        if (!packageDirectory) throw new ConversionError("sfdx-project.json does not define any packageDirectories.");
+    }
+
+    return path.join(projectFolder, packageDirectory.path);
+}
+
+/**
+ * @Description Writes the results of a source conversion into a JSON and a CSV file in the output folder.
+ * @Param convertedFiles array of objects with the properties file, status and changeSet generated by convertToSourceFormat()
+ * @Param filename the name to use for the generated files, without extension.
+ */
+function writeSourceConversionReport(convertedFiles, filename) {
+    let created = convertedFiles.filter((convertedFile) => convertedFile.status == "created").length;
+    let overwritten = convertedFiles.filter((convertedFile) => convertedFile.status == "overwritten").length;
+    log(`Source conversion complete. ${created} files created, ${overwritten} files overwritten, ${convertedFiles.length - created - overwritten} files unchanged.`, true, "green");
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(convertedFiles, undefined, 2));
+
+    let csvString = ["File", "Status", "Change Set"].map(toCSVValue).join(",") + "\r\n";
+    convertedFiles.forEach((convertedFile) => (csvString += [convertedFile.file, convertedFile.status, convertedFile.changeSet].map(toCSVValue).join(",") + "\r\n"));
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.csv`), csvString);
+}
+
+module.exports = {
+    convertToSourceFormat,
+    convertFoldersToSource,
+    getSourcePackageDirectory,
+    writeSourceConversionReport,
+};
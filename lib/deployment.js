@@ -0,0 +1,138 @@
+/**
+ * @Description Deploys, or validates the deployment of, the merged package folder with the SFDX CLI.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config, requireOnline } = require("./config");
+const { log } = require("./logger");
+const { runSfdxCommand, parseSfdxJson } = require("./command");
+const { validateMergedPackage } = require("./validation");
+const { clearPendingDeletions } = require("./output");
+const { ConfigError, DeploymentError, recordFailure } = require("./errors");
+
+/**
+ * @Description Deploys the merged package folder to the target org using the SFDX CLI, either as a check-only deployment ('validate') or a real one ('deploy'). The package is validated first if
+ * validateMergedPackage is true and isn't deployed if that fails. The deployment is polled until it finishes and a summary of component failures, test failures and code coverage is written to the output folder.
+ * @Return true if the deployment succeeded.
+ */
+async function deployMergedPackage() {
+    requireOnline("Deployment");
+
+    let mode = config.deployMergedPackage == "none" ? "validate" : config.deployMergedPackage;
+    if (mode != "validate" && mode != "deploy") throw new ConfigError(`Invalid deployMergedPackage "${config.deployMergedPackage}". Valid values are: none, validate, deploy`);
+
+    let testLevels = ["NoTestRun", "RunSpecifiedTests", "RunLocalTests", "RunAllTestsInOrg"];
+    if (testLevels.indexOf(config.deployTestLevel) == -1) throw new ConfigError(`Invalid deployTestLevel "${config.deployTestLevel}". Valid values are: ${testLevels.join(", ")}`);
+    if (config.deployTestLevel == "RunSpecifiedTests" && config.deployTests.length == 0) throw new ConfigError("deployTests must list the test classes to run when deployTestLevel is RunSpecifiedTests.");
+
+    if (config.validateMergedPackage && !validateMergedPackage()) {
+        log("Merged package failed validation. It will not be deployed.", true, "red");
+        return false;
+    }
+
+    let packageFolder = path.join(config.rootFolder, config.mergedPackageFolder);
+    let targetOrg = config.deployTargetOrg || config.username;
+    let deployArguments = [`force:mdapi:deploy`, `-d`, packageFolder, `-l`, config.deployTestLevel, `-w`, `0`, `--json`];
+    if (mode == "validate") deployArguments.push(`-c`);
+    if (config.deployTestLevel == "RunSpecifiedTests") deployArguments.push(`-r`, config.deployTests.join(","));
+
+    log(`Starting ${mode == "validate" ? "check-only deployment" : "deployment"} of ${packageFolder} to ${targetOrg || "the default org"} with test level ${config.deployTestLevel}`, true, "yellow");
+
+    let startResult = parseSfdxJson(await runSfdxCommand(deployArguments, targetOrg));
+    if (!startResult.id) throw new DeploymentError(`Deployment could not be started: ${startResult.message || "sfdx did not return a deployment id"}`, { result: startResult });
+
+    //poll the deployment until it is done or we run out of time.
+    let deployResult;
+    let stopTime = Date.now() + config.deployWaitMinutes * 60 * 1000;
+    while (true) {
+        deployResult = parseSfdxJson(await runSfdxCommand([`force:mdapi:deploy:report`, `-i`, startResult.id, `-w`, `0`, `--verbose`, `--json`], targetOrg));
+        if (deployResult.done === true || deployResult.done === "true") break;
+        if (Date.now() > stopTime) throw new DeploymentError(`Deployment ${startResult.id} did not finish within ${config.deployWaitMinutes} minutes. Check its status in Setup > Deployment Status.`);
+
+        log(`Deployment ${startResult.id} is ${deployResult.status || "in progress"}. ${deployResult.numberComponentsDeployed || 0}/${deployResult.numberComponentsTotal || "?"} components, ${deployResult.numberTestsCompleted || 0}/${deployResult.numberTestsTotal || "?"} tests`);
+        await new Promise((resolveFunc) => setTimeout(resolveFunc, config.deployPollSeconds * 1000));
+    }
+
+    let summary = summarizeDeployResult(deployResult, mode, startResult.id, targetOrg);
+    writeDeploySummary(summary, "deployResult");
+
+    //the removed components have now been deleted from the org, so they don't belong in the next destructive changes.
+    if (summary.success && mode == "deploy") clearPendingDeletions();
+    return summary.success;
+}
+
+/**
+ * @Description Converts the result of a deployment into a summary of its component failures, test failures and code coverage.
+ * @Param deployResult the deployment result returned by sfdx force:mdapi:deploy:report
+ * @Param mode 'validate' or 'deploy'.
+ * @Param deployId the id of the deployment.
+ * @Param targetOrg the username/alias of the org deployed to.
+ * @Return summary object.
+ */
+function summarizeDeployResult(deployResult, mode, deployId, targetOrg) {
+    //the metadata API returns single objects instead of arrays when there is only one entry.
+    const asArray = (value) => [].concat(value || []);
+    let details = deployResult.details || {};
+    let testResult = details.runTestResult || {};
+
+    return {
+        id: deployId,
+        targetOrg: targetOrg || "",
+        checkOnly: mode == "validate",
+        testLevel: config.deployTestLevel,
+        status: deployResult.status,
+        success: deployResult.success === true || deployResult.success === "true",
+        componentsDeployed: Number(deployResult.numberComponentsDeployed || 0),
+        componentErrors: Number(deployResult.numberComponentErrors || 0),
+        testsRun: Number(deployResult.numberTestsCompleted || 0),
+        testErrors: Number(deployResult.numberTestErrors || 0),
+        componentFailures: asArray(details.componentFailures).map((failure) => ({
+            type: failure.componentType,
+            name: failure.fullName,
+            file: failure.fileName,
+            line: failure.lineNumber,
+            problem: failure.problem,
+        })),
+        testFailures: asArray(testResult.failures).map((failure) => ({
+            name: failure.name,
+            method: failure.methodName,
+            message: failure.message,
+            stackTrace: failure.stackTrace,
+        })),
+        coverage: asArray(testResult.codeCoverage).map((coverage) => {
+            let locations = Number(coverage.numLocations || 0);
+            let notCovered = Number(coverage.numLocationsNotCovered || 0);
+            return { name: coverage.name, type: coverage.type, locations: locations, notCovered: notCovered, percent: locations ? Math.round(((locations - notCovered) / locations) * 100) : 100 };
+        }),
+        coverageWarnings: asArray(testResult.codeCoverageWarnings).map((warning) => ({ name: warning.name, message: warning.message })),
+    };
+}
+
+/**
+ * @Description Prints the summary of a deployment and writes it into a JSON file in the output folder. If the deployment failed a failure is recorded.
+ * @Param summary the summary object generated by summarizeDeployResult()
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeDeploySummary(summary, filename) {
+    summary.componentFailures.forEach((failure) => log(`Component failure: ${failure.type} ${failure.name}${failure.line ? " line " + failure.line : ""}: ${failure.problem}`, true, "red"));
+    summary.testFailures.forEach((failure) => log(`Test failure: ${failure.name}.${failure.method}: ${failure.message}`, true, "red"));
+    summary.coverageWarnings.forEach((warning) => log(`Coverage warning: ${warning.name ? warning.name + ": " : ""}${warning.message}`, true, "yellow"));
+
+    log(
+        `${summary.checkOnly ? "Check-only deployment" : "Deployment"} ${summary.id} ${summary.status}. ${summary.componentsDeployed} components deployed, ${summary.componentErrors} component errors, ${summary.testsRun} tests run, ${summary.testErrors} test errors.`,
+        true,
+        summary.success ? "green" : "red"
+    );
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(summary, undefined, 2));
+
+    if (!summary.success) recordFailure(new DeploymentError(`Deployment ${summary.id} ${summary.status}.`, { summary: summary }));
+}
+
+module.exports = {
+    deployMergedPackage,
+    summarizeDeployResult,
+    writeDeploySummary,
+};
@@ -0,0 +1,375 @@
+/**
+ * @Description Discovers the change sets in the org and selects which of them to fetch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const cheerio = require("cheerio");
+const { readJSONFromFile, getUnique, toFolderName } = require("./utils");
+const { config, requireOnline } = require("./config");
+const { log } = require("./logger");
+const { runSfdxCommand } = require("./command");
+const { ConfigError, DiscoveryError } = require("./errors");
+
+/**
+ * The Salesforce change set list pages that are scraped to discover change sets. apexFile is the anonymous Apex that fetches the page, contentFile is where the raw page content is saved and detailPage is
+ * the page each change set name links to.
+ */
+const changeSetPages = {
+    outbound: { url: "/changemgmt/listOutboundChangeSet.apexp", apexFile: "getChangeSets.apex", contentFile: "changeSetContent.txt", detailPage: "changemgmt/outboundChangeSetDetailPage.apexp" },
+    inbound: { url: "/changemgmt/listInboundChangeSet.apexp", apexFile: "getInboundChangeSets.apex", contentFile: "inboundChangeSetContent.txt", detailPage: "changemgmt/inboundChangeSetDetailPage.apexp" },
+};
+
+/**
+ * @Description Discovers all the change sets in the org, writes their details to changeSets.json in the output folder and writes the names of the outbound change sets to the change set JSON file.
+ * Inbound change sets are only recorded since they can't be retrieved through the metadata API.
+ * @Return array of change set objects generated by the discovery provider.
+ */
+async function listChangeSets() {
+    requireOnline("Change set discovery");
+
+    let changeSets = await getDiscoveryProvider(config.changeSetDiscovery)(config);
+    writeChangeSetDetailsFile(changeSets, "changeSets");
+
+    let selectedChangeSets = await selectChangeSets(changeSets.filter((changeSet) => changeSet.direction == "outbound"));
+    writeChangeSetConfigFile(selectedChangeSets.map((changeSet) => changeSet.name));
+    return changeSets;
+}
+
+/**
+ * @Description Applies the include, exclude, date and since last run rules from the config to the given change sets, then lets the user pick from the remaining ones if interactive mode is on.
+ * @Param changeSets array of change set objects. Only name is required; date rules are only applied to change sets with an uploadedDate.
+ * @Return array of the selected change set objects.
+ */
+async function selectChangeSets(changeSets) {
+    let includePatterns = config.includeChangeSets.map(toNamePattern);
+    let excludePatterns = config.excludeChangeSets.map(toNamePattern);
+    let uploadedAfter = parseConfigDate("uploadedAfter");
+    let uploadedBefore = parseConfigDate("uploadedBefore", true);
+    let lastRunDate = config.sinceLastRun ? readLastRunDate() : null;
+
+    let selectedChangeSets = changeSets.filter(function (changeSet) {
+        let uploadedDate = changeSet.uploadedDate ? new Date(changeSet.uploadedDate) : null;
+        let reason;
+
+        if (includePatterns.length > 0 && !includePatterns.some((pattern) => pattern.test(changeSet.name))) reason = "it does not match includeChangeSets";
+        else if (excludePatterns.some((pattern) => pattern.test(changeSet.name))) reason = "it matches excludeChangeSets";
+        else if (uploadedDate && uploadedAfter && uploadedDate < uploadedAfter) reason = `it was uploaded before ${config.uploadedAfter}`;
+        else if (uploadedDate && uploadedBefore && uploadedDate > uploadedBefore) reason = `it was uploaded after ${config.uploadedBefore}`;
+        else if (lastRunDate && uploadedDate && uploadedDate < lastRunDate) reason = "it was uploaded before the last run";
+        //without a date the best we can do for since last run is skip the change sets we already have.
+        else if (lastRunDate && !uploadedDate && fs.existsSync(path.join(config.rootFolder, toFolderName(changeSet.name)))) reason = "it was downloaded in a previous run";
+
+        if (reason) log(`Skipping change set: "${changeSet.name}" because ${reason}`, false);
+        return !reason;
+    });
+
+    log(`${selectedChangeSets.length} of ${changeSets.length} change sets match the selection rules`);
+
+    if (config.interactive) selectedChangeSets = await promptForChangeSets(selectedChangeSets);
+    return selectedChangeSets;
+}
+
+/**
+ * @Description Converts a change set name pattern from the config into a regular expression. Patterns wrapped in slashes (ex: /^Sprint \d+/i) are used as regular expressions, anything else is a case
+ * insensitive glob where * matches any characters and ? matches a single character.
+ * @Param pattern the pattern string.
+ * @Return a RegExp that tests change set names.
+ */
+function toNamePattern(pattern) {
+    let regexMatch = String(pattern).match(/^\/(.*)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (err) {
+            throw new ConfigError(`Invalid regular expression ${pattern} in change set selection rules: ${err.message}`);
+        }
+    }
+
+    let escaped = String(pattern)
+        .split("")
+        .map((character) => (character == "*" ? ".*" : character == "?" ? "." : character.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+        .join("");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * @Description Parses a date config property. A plain YYYY-MM-DD date is a day in the local time zone, the same as the scraped upload dates, rather than midnight UTC.
+ * @Param key the name of the config property.
+ * @Param endOfDay optional. If true a plain date is the last moment of that day instead of the start, so a date range includes change sets uploaded during its last day.
+ * @Return a Date, or null if the property is blank.
+ */
+function parseConfigDate(key, endOfDay) {
+    if (!config[key]) return null;
+
+    let dayMatch = String(config[key])
+        .trim()
+        .match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let date = dayMatch ? new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3])) : new Date(config[key]);
+    //Date rolls days that don't exist (such as 2023-02-30) over into the next month.
+    if (isNaN(date) || (dayMatch && date.getDate() != Number(dayMatch[3]))) throw new ConfigError(`${key} "${config[key]}" is not a valid date. Use the format YYYY-MM-DD.`);
+
+    if (dayMatch && endOfDay) date.setHours(23, 59, 59, 999);
+    return date;
+}
+
+/**
+ * @Description Lists the given change sets on the screen and asks the user which of them to fetch.
+ * @Param changeSets array of change set objects to choose from.
+ * @Return array of the change set objects the user picked.
+ */
+async function promptForChangeSets(changeSets) {
+    if (changeSets.length == 0) return changeSets;
+    if (!process.stdin.isTTY) throw new ConfigError("interactive mode needs a terminal to ask which change sets to fetch. Turn it off when running in CI.");
+
+    changeSets.forEach(function (changeSet, index) {
+        let details = [changeSet.status, changeSet.uploadedDateText, changeSet.description].filter((detail) => detail).join(" | ");
+        log(`  ${String(index + 1).padStart(3)}) ${changeSet.name}${details ? "  (" + details + ")" : ""}`, true);
+    });
+
+    const question = "Enter the numbers of the change sets to fetch (ex: 1,3,5-7), 'all' or 'none': ";
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        process.stdout.write(question);
+        for await (const answer of prompt) {
+            let selectedIndexes = parseSelection(answer, changeSets.length);
+            if (selectedIndexes) return changeSets.filter((changeSet, index) => selectedIndexes.indexOf(index) > -1);
+            log(`"${answer}" is not a valid selection.`, true, "yellow");
+            process.stdout.write(question);
+        }
+    } finally {
+        prompt.close();
+    }
+    throw new DiscoveryError("No change sets were selected before the input ended.");
+}
+
+/**
+ * @Description Parses the user's answer to the change set selection prompt.
+ * @Param answer the text entered by the user. Either 'all', 'none' or a comma separated list of numbers and ranges (ex: 1,3,5-7).
+ * @Param count the number of change sets that were listed.
+ * @Return array of zero based indexes of the selected change sets, or null if the answer is not valid.
+ */
+function parseSelection(answer, count) {
+    answer = answer.trim().toLowerCase();
+    if (answer == "all") return [...Array(count).keys()];
+    if (answer == "none") return [];
+
+    let indexes = [];
+    for (const part of answer.split(",")) {
+        let range = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!range) return null;
+
+        let first = Number(range[1]);
+        let last = range[2] ? Number(range[2]) : first;
+        if (first < 1 || last > count || first > last) return null;
+        for (let number = first; number <= last; number++) indexes.push(number - 1);
+    }
+    return getUnique(indexes);
+}
+
+/**
+ * @Description Records when the change sets were last fetched, for use by the sinceLastRun option.
+ * @Param startedDate the date the fetch started.
+ */
+function writeLastRunFile(startedDate) {
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, "lastRun.json"), JSON.stringify({ date: startedDate.toISOString() }, undefined, 2));
+}
+
+/**
+ * @Description Reads when the change sets were last fetched.
+ * @Return the Date of the last run, or null if the change sets have never been fetched.
+ */
+function readLastRunDate() {
+    let lastRunFile = path.join(config.outputFolder, "lastRun.json");
+    if (!fs.existsSync(lastRunFile)) {
+        log("sinceLastRun is set but there is no record of a previous run. All change sets will be fetched.", true, "yellow");
+        return null;
+    }
+    return new Date(readJSONFromFile(lastRunFile).date);
+}
+
+/**
+ * Built in ways of discovering change sets, keyed by the value of the changeSetDiscovery config property. Each is an async function that takes the config and returns an array of change set objects with the
+ * properties name, direction ('outbound' or 'inbound'), description, status, uploadedDate (ISO string or null), uploadedDateText (the date as shown by Salesforce) and id (the change set's detail page id).
+ */
+const discoveryProviders = {
+    scrape: discoverChangeSetsFromPages,
+};
+
+/**
+ * @Description Gets the function used to discover change sets. This is either one of the built in discoveryProviders or the path of a javascript module that exports a function with the same signature.
+ * @Param providerName the value of the changeSetDiscovery config property.
+ * @Return async function that takes the config and returns an array of change set objects.
+ */
+function getDiscoveryProvider(providerName) {
+    if (discoveryProviders.hasOwnProperty(providerName)) return discoveryProviders[providerName];
+
+    let modulePath = path.resolve(providerName);
+    if (!fs.existsSync(modulePath)) throw new ConfigError(`Invalid changeSetDiscovery "${providerName}". Use one of: ${Object.keys(discoveryProviders).join(", ")} or the path of a javascript module.`);
+
+    let provider = require(modulePath);
+    if (typeof provider != "function") provider = provider.discoverChangeSets;
+    if (typeof provider != "function") throw new ConfigError(`Change set discovery module ${modulePath} must export a function or a discoverChangeSets function.`);
+    return provider;
+}
+
+/**
+ * @Description Discovers change sets by scraping the change set list pages in the Salesforce UI since no API exists to fetch them natively.
+ * @Param config the config to discover change sets with.
+ * @Return array of change set objects.
+ */
+async function discoverChangeSetsFromPages(config) {
+    let directions = config.discoverInboundChangeSets ? ["outbound", "inbound"] : ["outbound"];
+    let changeSets = [];
+
+    for (const direction of directions) {
+        let pageContent = await getChangeSetPageContent(changeSetPages[direction]);
+        changeSets = changeSets.concat(parseChangeSetPage(pageContent, direction));
+    }
+
+    return changeSets;
+}
+
+/**
+ * @Description gets the raw HTML content of a change set list page in Salesforce by running anonymous Apex that prints the page content into the debug log.
+ * @Param page the entry of changeSetPages to get the content of.
+ * @Return string containing the page content.
+ */
+async function getChangeSetPageContent(page) {
+    log(`Getting change sets from scraped page content at ${page.url}`);
+
+    let result = await runSfdxCommand([`force:apex:execute`, `-f`, page.apexFile]);
+    fs.writeFileSync(page.contentFile, result.code == 0 ? result.stdout : result.output);
+    if (result.code != 0) throw new DiscoveryError(`Could not get the content of ${page.url}. sfdx force:apex:execute exited with code ${result.code}. See ${page.contentFile} for details.`);
+    log("Fetched change sets.");
+
+    let pageContent = fs.readFileSync(page.contentFile, "utf8");
+
+    //now lets remove all the junk we don't need to make it easier for the parser
+    pageContent = pageContent.replace(/[\u0000-\u001F\u007F-\u009F]/g, ""); //these damn invisible control characters took me way to long to figure out that they were messing up my searching/dom parsing.
+    return pageContent.trim();
+}
+
+/**
+ * @Description Parses the HTML content of a change set list page into change set objects. Columns are found by their header text, so the page can't be parsed if Salesforce changes the layout, and an error
+ * is thrown rather than silently returning nothing.
+ * @Param html a string of HTML that contains the change set list fetched from the Salesforce UI
+ * @Param direction 'outbound' or 'inbound', the page the HTML came from.
+ * @Return array of change set objects.
+ */
+function parseChangeSetPage(html, direction) {
+    log(`Parsing ${direction} change set HTML content to scrape change set details`);
+
+    const $ = cheerio.load(html);
+    const page = changeSetPages[direction];
+    const cellText = (cell) => $(cell).text().replace(/\s+/g, " ").trim();
+
+    //a page can have more than one list (inbound has awaiting deployment and deployed), each with its own header row.
+    let headerRows = $("tr").filter(function (i, row) {
+        return $(row)
+            .children("th,td")
+            .toArray()
+            .some((cell) => cellText(cell).toLowerCase() == "change set name");
+    });
+
+    if (headerRows.length == 0) {
+        throw new DiscoveryError(`Could not find the list of ${direction} change sets in the content of ${page.url}. The Salesforce page layout may have changed. The raw page content is saved in ${page.contentFile}.`);
+    }
+
+    let changeSets = [];
+    let headerRowSet = new Set(headerRows.toArray());
+    headerRows.each(function (i, headerRow) {
+        let headers = $(headerRow)
+            .children("th,td")
+            .toArray()
+            .map((cell) => cellText(cell).toLowerCase());
+        let getColumn = (names) => headers.findIndex((header) => names.indexOf(header) > -1);
+        let columns = {
+            name: getColumn(["change set name"]),
+            description: getColumn(["description"]),
+            status: getColumn(["status"]),
+            uploadedDate: getColumn(["upload date", "uploaded date", "uploaded on", "modified date", "last modified date"]),
+        };
+
+        //the header row is usually in a thead and the change sets in a tbody, so the rows are taken from the whole table rather than the header row's siblings.
+        let table = $(headerRow).closest("table");
+        let tableRows = table
+            .find("tr")
+            .toArray()
+            .filter((row) => $(row).closest("table").is(table));
+
+        $(tableRows.slice(tableRows.indexOf(headerRow) + 1)).each(function (j, row) {
+            //lists can share a table, so the rows of this list end at the next header row.
+            if (headerRowSet.has(row)) return false;
+
+            let cells = $(row).children("th,td").toArray();
+            let link = $(cells[columns.name]).find("a").first();
+            let linkTarget = link.attr("href");
+
+            //rows without a link to a change set (such as 'No records to display') are skipped.
+            if (!linkTarget || linkTarget.indexOf(page.detailPage) == -1) return;
+
+            let idMatch = linkTarget.match(/[?&]id=([^&]+)/);
+            let uploadedDateText = columns.uploadedDate > -1 ? cellText(cells[columns.uploadedDate]) : "";
+            let uploadedDate = uploadedDateText ? new Date(uploadedDateText) : null;
+            let changeSet = {
+                name: cellText(link),
+                direction: direction,
+                description: columns.description > -1 ? cellText(cells[columns.description]) : "",
+                status: columns.status > -1 ? cellText(cells[columns.status]) : "",
+                uploadedDate: uploadedDate && !isNaN(uploadedDate) ? uploadedDate.toISOString() : null,
+                uploadedDateText: uploadedDateText,
+                id: idMatch ? decodeURIComponent(idMatch[1]) : "",
+            };
+
+            log(`Found ${direction} change set with name: ${changeSet.name}`);
+            changeSets.push(changeSet);
+        });
+    });
+
+    return changeSets;
+}
+
+/**
+ * @Description Writes the details of all the discovered change sets into a JSON file in the output folder.
+ * @Param changeSets array of change set objects generated by the discovery provider.
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeChangeSetDetailsFile(changeSets, filename) {
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(changeSets, undefined, 2));
+    log(`Wrote details of ${changeSets.length} change sets to ${path.join(config.outputFolder, `${filename}.json`)}`);
+}
+
+/**
+ * @Description Writes an updated changeSetConfig file using the given names. These entries can be used next time to fetch change sets without having to scrape the UI for the names.
+ * @Param changesetNames an array of strings that are names of changesets.
+ */
+function writeChangeSetConfigFile(changesetNames) {
+    fs.writeFileSync(`${config.changesetJSONFile}`, JSON.stringify(changesetNames), function (err) {
+        if (err) return log(err);
+        log(`Wrote JSON Change Set File to ${config.changesetJSONFile}`);
+    });
+}
+
+module.exports = {
+    changeSetPages,
+    listChangeSets,
+    selectChangeSets,
+    toNamePattern,
+    parseConfigDate,
+    promptForChangeSets,
+    parseSelection,
+    writeLastRunFile,
+    readLastRunDate,
+    discoveryProviders,
+    getDiscoveryProvider,
+    discoverChangeSetsFromPages,
+    getChangeSetPageContent,
+    parseChangeSetPage,
+    writeChangeSetDetailsFile,
+    writeChangeSetConfigFile,
+};
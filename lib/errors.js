@@ -0,0 +1,82 @@
+/**
+ * @Description Error types thrown by the library, so callers can tell which step failed without parsing messages, and the record of failures that didn't stop the run.
+ */
+
+/**
+ * Base class of every error thrown by the library. details holds any extra data about the failure, such as the result of the command that failed.
+ */
+class ChangeLogBuilderError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        if (details) this.details = details;
+    }
+}
+
+/** The config or a command line option is invalid. */
+class ConfigError extends ChangeLogBuilderError {}
+
+/** Change sets could not be discovered or selected. */
+class DiscoveryError extends ChangeLogBuilderError {}
+
+/** Change sets could not be downloaded or imported. */
+class RetrievalError extends ChangeLogBuilderError {}
+
+/** The change sets could not be merged. */
+class MergeError extends ChangeLogBuilderError {}
+
+/** The merged package folder does not match its package.xml. */
+class ValidationError extends ChangeLogBuilderError {}
+
+/** The merged package could not be deployed. */
+class DeploymentError extends ChangeLogBuilderError {}
+
+/** Metadata could not be converted into source format. */
+class ConversionError extends ChangeLogBuilderError {}
+
+/** A git command failed. */
+class GitError extends ChangeLogBuilderError {}
+
+/** The hook run by watch mode failed. */
+class HookError extends ChangeLogBuilderError {}
+
+const failures = [];
+
+/**
+ * @Description Records a failure that doesn't stop the run, such as a change set that failed to download or a failed deployment. The CLI exits with a non-zero exit code if any were recorded.
+ * @Param error a ChangeLogBuilderError describing the failure.
+ */
+function recordFailure(error) {
+    failures.push(error);
+}
+
+/**
+ * @Description Gets the failures recorded since the last call to clearFailures().
+ * @Return array of ChangeLogBuilderError objects.
+ */
+function getFailures() {
+    return failures.slice();
+}
+
+/**
+ * @Description Forgets all the recorded failures, for callers that run more than one step and want to check each separately.
+ */
+function clearFailures() {
+    failures.length = 0;
+}
+
+module.exports = {
+    ChangeLogBuilderError,
+    ConfigError,
+    DiscoveryError,
+    RetrievalError,
+    MergeError,
+    ValidationError,
+    DeploymentError,
+    ConversionError,
+    GitError,
+    HookError,
+    recordFailure,
+    getFailures,
+    clearFailures,
+};
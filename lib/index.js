@@ -0,0 +1,205 @@
+/**
+ * @Description Library entry point. Runs each step of the process and exposes the modules it is built from so other tools can reuse them.
+ * Every step reads the shared config (see configure()) and returns a promise. Problems that stop a step are thrown as ChangeLogBuilderError
+ * subclasses. Problems that don't stop the run (such as a change set that failed to download) are recorded and can be read with getFailures().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const configModule = require("./config");
+const logger = require("./logger");
+const errors = require("./errors");
+const utils = require("./utils");
+const command = require("./command");
+const discovery = require("./discovery");
+const retrieval = require("./retrieval");
+const manifest = require("./manifest");
+const validation = require("./validation");
+const output = require("./output");
+const deployment = require("./deployment");
+const conversion = require("./conversion");
+const zip = require("./zip");
+const watch = require("./watch");
+const { config, defaultConfig, useConfig, validateConfig } = configModule;
+const { log } = logger;
+const { ConfigError } = errors;
+const { changeSetPages, listChangeSets } = discovery;
+const { downloadChangeSets, importChangeSets } = retrieval;
+const { createPackageXmlTemplate, readPackageXML, mergeObjects, reconcileManifest, sortValues, findComponentConflicts, buildInventory, buildMergedPackageFolder, createSnapshot, diffSnapshots, buildDestructiveChanges } = manifest;
+const { validateMergedPackage } = validation;
+const { writeFiles, writeInventory, writeConflictReport, writeManifestWarnings, writeChangeLog, saveSnapshot, loadSnapshot, writeDestructiveChanges, updatePendingDeletions, clearPendingDeletions, buildReportData, writeHtmlReport } = output;
+const { deployMergedPackage } = deployment;
+const { convertToSourceFormat } = conversion;
+
+/**
+ * @Description Sets the config used by every step. Properties that aren't given use their default value.
+ * @Param options object of config properties, in the same format as config.json.
+ * @Return the config object that will be used.
+ */
+function configure(options) {
+    let errorMessages = validateConfig(options || {});
+    if (errorMessages.length > 0) throw new ConfigError(`Invalid config:\r\n - ${errorMessages.join("\r\n - ")}`, { errors: errorMessages });
+    return useConfig({ ...defaultConfig, ...options });
+}
+
+/**
+ * @Description Runs every step of the process. Discovers change set names (if configured), downloads the change sets, then merges them and writes the output files.
+ * If offline is true the change sets are imported from disk instead of downloaded.
+ */
+async function runAll() {
+    if (config.offline) await importChangeSets();
+    else await downloadChangeSets();
+    await mergeChangeSets();
+}
+
+/**
+ * @Description Merges the package.xml files of all the downloaded change sets, writes the conflict report (if configured) and the output files, and builds the merged package folder (if configured).
+ * @Return object with the properties mergedData (the merged package object), manifestWarnings, conflicts, inventory and changes (null if createSnapshot is false).
+ */
+async function mergeChangeSets() {
+    //reads the contents of all the packagexml files.
+    let packageXmlData = readPackageXML(config.rootFolder);
+
+    //create our basic package XML template to add into.
+    var mergedContent = createPackageXmlTemplate();
+
+    log("Finished reading files. Starting merge");
+
+    //merge the contents of all the XML files into our template.
+    var mergedData = mergeObjects(packageXmlData, mergedContent);
+
+    //sort the resulting values;
+    mergedData = sortValues(mergedData);
+
+    //resolve wildcards and parent/child members so the manifest is correct and minimal.
+    let manifestWarnings = reconcileManifest(mergedData);
+    writeManifestWarnings(manifestWarnings, "manifestWarnings");
+
+    //record every component that was included in more than one change set so nobody's work gets silently overwritten in the merged folder.
+    let conflicts = config.createConflictReport || config.createHtmlReport ? findComponentConflicts(config.rootFolder) : [];
+    if (config.createConflictReport) writeConflictReport(conflicts, "conflicts");
+
+    //record which change set contained which component and file.
+    let inventory = config.createInventory || config.createHtmlReport ? buildInventory(config.rootFolder) : [];
+    if (config.createInventory) writeInventory(inventory, "inventory");
+
+    //copy all files from all the package folders into our merged package folder.
+    if (config.createMergedPackage) buildMergedPackageFolder(config.rootFolder, config.mergedPackageFolder);
+
+    //write the contents of our merged data into files.
+    writeFiles(mergedData, "package");
+
+    //a single human readable file that can be handed to clients.
+    if (config.createHtmlReport) writeHtmlReport(buildReportData(mergedData, inventory, conflicts), "report");
+
+    //compare this run to the previous (or requested) snapshot and save this run as the newest snapshot.
+    let changes = null;
+    if (config.createSnapshot) {
+        let snapshot = createSnapshot(mergedData, config.rootFolder);
+        changes = diffSnapshots(loadSnapshot(config.compareToSnapshot), snapshot);
+        writeChangeLog(changes, "changes");
+        saveSnapshot(snapshot);
+    }
+
+    //anything removed since a snapshot and not deployed yet, or listed in the deleted components file, gets deleted on deploy.
+    if (config.createDestructiveChanges) writeDestructiveChanges(buildDestructiveChanges(updatePendingDeletions(changes ? changes.removed : [], mergedData), mergedData));
+
+    //deploying and converting need the SFDX CLI, so offline runs leave them for a later online run.
+    if (config.offline && config.createMergedPackage && config.deployMergedPackage != "none") log("Offline mode: the merged package will be validated but not deployed", true, "yellow");
+    if (config.offline && config.convertToSource != "none") log("Offline mode: skipping source conversion", true, "yellow");
+
+    //catch missing files and broken XML now rather than partway through a deployment. Deploying validates first.
+    if (config.createMergedPackage && config.deployMergedPackage != "none" && !config.offline) await deployMergedPackage();
+    else if (config.createMergedPackage && (config.validateMergedPackage || config.deployMergedPackage != "none")) validateMergedPackage();
+
+    //land the merged contents straight in the project's source folder.
+    if (config.convertToSource != "none" && !config.offline) await convertToSourceFormat();
+
+    return { mergedData: mergedData, manifestWarnings: manifestWarnings, conflicts: conflicts, inventory: inventory, changes: changes };
+}
+
+/**
+ * @Description Writes the output files and conflict report for the downloaded change sets without touching the merged package folder.
+ * @Return the same object as mergeChangeSets().
+ */
+async function reportChangeSets() {
+    let savedConfig = { ...config };
+    try {
+        useConfig({ ...savedConfig, createMergedPackage: false, createConflictReport: true, convertToSource: "none" });
+        return await mergeChangeSets();
+    } finally {
+        useConfig(savedConfig);
+    }
+}
+
+/**
+ * @Description Runs watch mode, checking for new change sets every watchIntervalMinutes and merging them into the outputs whenever some are downloaded (see watch.watchChangeSets()). Resolves once watch.stopWatching() is called.
+ */
+async function watchChangeSets() {
+    await watch.watchChangeSets(mergeChangeSets);
+}
+
+/**
+ * @Description Marks the components waiting to be deleted as deleted, for when the merged package and its destructive changes were deployed some other way than deployMergedPackage. They are left out of
+ * the destructive changes from then on.
+ */
+function markDeletionsDeployed() {
+    let clearedCount = clearPendingDeletions();
+    if (clearedCount == 0) log("No removed components were waiting to be deleted", true);
+    else log(`Marked ${clearedCount} removed components as deleted. They will be left out of the destructive changes from now on.`, true, "green");
+}
+
+/**
+ * @Description Deletes all the files generated by previous runs. Downloaded change sets, snapshots, logs, the record of the last run and the deletions waiting to be deployed are left in place since they are history rather than output.
+ */
+function cleanOutputs() {
+    let outputFiles = fs.existsSync(config.outputFolder)
+        ? fs
+              .readdirSync(config.outputFolder)
+              .filter((fileName) => fileName != "snapshots" && fileName != "logs" && fileName != "lastRun.json" && fileName != "pendingDeletions.json")
+              .map((fileName) => path.join(config.outputFolder, fileName))
+        : [];
+
+    for (const target of [path.join(config.rootFolder, config.mergedPackageFolder), ...outputFiles, ...Object.values(changeSetPages).map((page) => page.contentFile)]) {
+        if (!fs.existsSync(target)) continue;
+        log(`Deleting ${target}`);
+        fs.rmSync(target, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    configure,
+    config,
+    defaultConfig,
+    runAll,
+    listChangeSets,
+    downloadChangeSets,
+    importChangeSets,
+    mergeChangeSets,
+    reportChangeSets,
+    validateMergedPackage,
+    deployMergedPackage,
+    convertToSourceFormat,
+    watchChangeSets,
+    stopWatching: watch.stopWatching,
+    markDeletionsDeployed,
+    cleanOutputs,
+    getFailures: errors.getFailures,
+    clearFailures: errors.clearFailures,
+    loadConfig: configModule.loadConfig,
+    useConfig,
+    validateConfig,
+    errors,
+    logger,
+    utils,
+    command,
+    discovery,
+    retrieval,
+    manifest,
+    validation,
+    output,
+    deployment,
+    conversion,
+    zip,
+    watch,
+};
@@ -0,0 +1,95 @@
+/**
+ * @Description Writes log entries to the screen and to the log files of the current run.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const { ConfigError } = require("./errors");
+
+/**
+ * Log levels in order of severity. Entries below the logLevel config property are written to the log files but not printed.
+ */
+const logLevels = { debug: 0, info: 1, warn: 2, error: 3 };
+
+/**
+ * The log files of this run. Entries are buffered until the config is loaded and openLogFiles() knows where the output folder is. Only the latest entries are kept, since library callers might never open log files.
+ */
+const logState = { textFile: null, jsonFile: null, buffer: [], useColor: process.stdout.isTTY === true && !process.env.NO_COLOR };
+
+/**
+ * @Description Creates a log entry in the log files, and optionally displays log entry to the terminal window with requested color. Colors are left out when the output is not a terminal.
+ * @Param logItem a string of data to log
+ * @Param printToScreen boolean flag indicating if this entry should be printed to the screen (true) or only to the log file (false). Entries only for the log file are debug entries and are printed with --verbose.
+ * @Param color a string {'red','green','yellow'} that indicates what color the logItem should be printed in on the screen..
+ * @Param level optional log level {'debug','info','warn','error'}. Defaults to error for red entries, warn for yellow entries, debug for entries only for the log file and info for everything else.
+ */
+function log(logItem, printToScreen, color, level) {
+    printToScreen = printToScreen != null ? printToScreen : true;
+    level = level || (!printToScreen ? "debug" : color == "red" ? "error" : color == "yellow" ? "warn" : "info");
+    let message = logItem instanceof Error ? logItem.message : String(logItem);
+
+    var colorCode = "";
+    switch (color) {
+        case "red":
+            colorCode = "\x1b[31m";
+            break;
+        case "green":
+            colorCode = "\x1b[32m";
+            break;
+        case "yellow":
+            colorCode = "\x1b[33m";
+    }
+
+    if (logLevels[level] >= (logLevels[config.logLevel] != null ? logLevels[config.logLevel] : logLevels.info)) {
+        let text = logState.useColor && colorCode ? colorCode + message + "\x1b[0m" : message;
+        if (level == "error") console.error(text);
+        else console.log(text);
+    }
+
+    let entry = { time: new Date().toISOString(), level: level, message: message };
+    if (logState.textFile) writeLogEntry(entry);
+    else if (logState.buffer.push(entry) > 1000) logState.buffer.shift();
+}
+
+/**
+ * @Description Creates this run's log files in the logs folder of the output folder and writes any entries logged before the config was loaded into them.
+ * The text log is always written. A JSON lines log is written as well if the jsonLog config property is true.
+ */
+function openLogFiles() {
+    if (!logLevels.hasOwnProperty(config.logLevel)) throw new ConfigError(`Invalid logLevel "${config.logLevel}". Valid values are: ${Object.keys(logLevels).join(", ")}`);
+
+    let logFolder = path.join(config.outputFolder, "logs");
+    let runName = new Date().toISOString().replace(/:/g, "-").replace(/\..+$/, "");
+    if (!fs.existsSync(logFolder)) fs.mkdirSync(logFolder, { recursive: true });
+
+    logState.textFile = path.join(logFolder, `${runName}.log`);
+    if (config.jsonLog) logState.jsonFile = path.join(logFolder, `${runName}.jsonl`);
+
+    logState.buffer.forEach(writeLogEntry);
+    logState.buffer = [];
+    log(`Writing log to ${logState.textFile}${logState.jsonFile ? " and " + logState.jsonFile : ""}`, false);
+}
+
+/**
+ * @Description Appends a single entry to the log files. Logging never stops the script, so if the files can't be written to a warning is printed and file logging is turned off.
+ * @Param entry object with the properties time, level and message.
+ */
+function writeLogEntry(entry) {
+    try {
+        fs.appendFileSync(logState.textFile, `${entry.time} ${entry.level.toUpperCase().padEnd(5)} ${entry.message}\r\n`);
+        if (logState.jsonFile) fs.appendFileSync(logState.jsonFile, JSON.stringify(entry) + "\n");
+    } catch (err) {
+        logState.textFile = null;
+        logState.jsonFile = null;
+        console.error(`Could not write to the log file, file logging is turned off: ${err.message}`);
+    }
+}
+
+module.exports = {
+    logLevels,
+    logState,
+    log,
+    openLogFiles,
+    writeLogEntry,
+};
@@ -0,0 +1,697 @@
+/**
+ * @Description Reads and merges the package.xml files of the downloaded change sets, builds the merged package folder and works out which change set
+ * contributed which component.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const xml2js = require("xml2js");
+const parseString = xml2js.parseString;
+const { readJSONFromFile, getUnique, toFolderName, isChangeSetListed, getSubFolders, getFilesRecursive, copyRecursiveSync, hashFile, hashFiles } = require("./utils");
+const { config, readConfigJSONFile, readChangeSetNames } = require("./config");
+const { log } = require("./logger");
+const { ConfigError, MergeError } = require("./errors");
+
+const packageStructure = '<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata"><version>48.0</version></Package>';
+
+/**
+ * Describes where each metadata type is written when a change set is retrieved in metadata API format. directoryName is the sub folder of the package, suffix is the file extension of each member
+ * and metaFile indicates a '-meta.xml' companion file exists. Child types (such as CustomField) have no files of their own and are stored inside the file of their parent component, in the XML elements
+ * named by element. Bundle types are retrieved as one folder per member and inFolder types (Reports, Documents, etc) have members named 'FolderName/MemberName'. Types with wildcard set to false can't
+ * use '*' as a member, and for types with wildcardExcludesStandard set '*' only covers custom components (those with a __c style suffix).
+ */
+const metadataTypes = {
+    ApexClass: { directoryName: "classes", suffix: "cls", metaFile: true },
+    ApexComponent: { directoryName: "components", suffix: "component", metaFile: true },
+    ApexPage: { directoryName: "pages", suffix: "page", metaFile: true },
+    ApexTrigger: { directoryName: "triggers", suffix: "trigger", metaFile: true },
+    ApprovalProcess: { directoryName: "approvalProcesses", suffix: "approvalProcess" },
+    AssignmentRules: { directoryName: "assignmentRules", suffix: "assignmentRules" },
+    AuraDefinitionBundle: { directoryName: "aura", bundle: true },
+    BusinessProcess: { parent: "CustomObject", element: "businessProcesses" },
+    CompactLayout: { parent: "CustomObject", element: "compactLayouts" },
+    ContentAsset: { directoryName: "contentassets", suffix: "asset", metaFile: true },
+    CustomApplication: { directoryName: "applications", suffix: "app" },
+    CustomField: { parent: "CustomObject", element: "fields" },
+    CustomLabel: { parent: "CustomLabels", parentMember: "CustomLabels", element: "labels" },
+    CustomLabels: { directoryName: "labels", suffix: "labels" },
+    CustomMetadata: { directoryName: "customMetadata", suffix: "md" },
+    CustomNotificationType: { directoryName: "notificationtypes", suffix: "notiftype" },
+    CustomObject: { directoryName: "objects", suffix: "object", wildcardExcludesStandard: true },
+    CustomPermission: { directoryName: "customPermissions", suffix: "customPermission" },
+    CustomSite: { directoryName: "sites", suffix: "site" },
+    CustomTab: { directoryName: "tabs", suffix: "tab" },
+    Dashboard: { directoryName: "dashboards", suffix: "dashboard", inFolder: true, wildcard: false },
+    Document: { directoryName: "documents", metaFile: true, inFolder: true, wildcard: false },
+    EmailTemplate: { directoryName: "email", suffix: "email", metaFile: true, inFolder: true, wildcard: false },
+    FieldSet: { parent: "CustomObject", element: "fieldSets" },
+    FlexiPage: { directoryName: "flexipages", suffix: "flexipage" },
+    Flow: { directoryName: "flows", suffix: "flow" },
+    GlobalValueSet: { directoryName: "globalValueSets", suffix: "globalValueSet" },
+    Group: { directoryName: "groups", suffix: "group" },
+    Layout: { directoryName: "layouts", suffix: "layout" },
+    LightningComponentBundle: { directoryName: "lwc", bundle: true },
+    LightningMessageChannel: { directoryName: "messageChannels", suffix: "messageChannel" },
+    ListView: { parent: "CustomObject", element: "listViews" },
+    NamedCredential: { directoryName: "namedCredentials", suffix: "namedCredential" },
+    PathAssistant: { directoryName: "pathAssistants", suffix: "pathAssistant" },
+    PermissionSet: { directoryName: "permissionsets", suffix: "permissionset" },
+    PermissionSetGroup: { directoryName: "permissionsetgroups", suffix: "permissionsetgroup" },
+    Profile: { directoryName: "profiles", suffix: "profile" },
+    QuickAction: { directoryName: "quickActions", suffix: "quickAction" },
+    Queue: { directoryName: "queues", suffix: "queue" },
+    RecordType: { parent: "CustomObject", element: "recordTypes" },
+    RemoteSiteSetting: { directoryName: "remoteSiteSettings", suffix: "remoteSite" },
+    Report: { directoryName: "reports", suffix: "report", inFolder: true, wildcard: false },
+    ReportType: { directoryName: "reportTypes", suffix: "reportType" },
+    Role: { directoryName: "roles", suffix: "role" },
+    SharingReason: { parent: "CustomObject", element: "sharingReasons" },
+    StandardValueSet: { directoryName: "standardValueSets", suffix: "standardValueSet" },
+    StaticResource: { directoryName: "staticresources", suffix: "resource", metaFile: true },
+    ValidationRule: { parent: "CustomObject", element: "validationRules" },
+    WebLink: { parent: "CustomObject", element: "webLinks" },
+    Workflow: { directoryName: "workflows", suffix: "workflow" },
+    WorkflowAlert: { parent: "Workflow", element: "alerts" },
+    WorkflowFieldUpdate: { parent: "Workflow", element: "fieldUpdates" },
+    WorkflowOutboundMessage: { parent: "Workflow", element: "outboundMessages" },
+    WorkflowRule: { parent: "Workflow", element: "rules" },
+    WorkflowTask: { parent: "Workflow", element: "tasks" },
+};
+
+/**
+ * @Description Creates and returns the empty XML template for the merged package.xml file.
+ * @Return a string containing the template of a package.xml file.
+ */
+function createPackageXmlTemplate() {
+    //create our basic package XML template to add into.
+    var newPackage;
+
+    //parse the XML into javascript object.
+    parseString(packageStructure, function (err, result) {
+        newPackage = result;
+        newPackage.Package.types = [];
+    });
+
+    return newPackage;
+}
+
+/**
+ * @Description Reads all the package.xml files in direct sub folders of the root folder. Parses the XML into javascript objects, adds all objects into an array then returns it.
+ * @Param rootFolder the parent folder in which to scan for downloaded changesets and extract their package.xml
+ * @Return an array containing all the package.xml content translated into javascript objects.
+ */
+function readPackageXML(rootFolder) {
+    let filesDataArray = [];
+
+    log(`Beginning reading of package.xml files`);
+
+    let packageFolders = getMergeOrder(rootFolder);
+
+    log("Got folders: " + packageFolders);
+
+    for (const folderName of packageFolders) {
+        log(`Reading package from: ${path.join(rootFolder, folderName, "package.xml")}`);
+
+        filesDataArray.push(parsePackageXMLFile(path.join(rootFolder, folderName, "package.xml")));
+    }
+    return filesDataArray;
+}
+
+/**
+ * @Description Reads a single package.xml file and parses it into a javascript object.
+ * @Param filePath the path of the package.xml file to read.
+ * @Return a javascript object representing the package.xml file.
+ */
+function parsePackageXMLFile(filePath) {
+    let packageData;
+    var content = fs.readFileSync(filePath).toString();
+
+    //parse the read XML into a javascript object.
+    parseString(content, function (err, result) {
+        if (err) {
+            log("Error parsing XML! " + JSON.stringify(err, null, 2), true, "red");
+        }
+        packageData = result;
+    });
+
+    return packageData;
+}
+
+/**
+ * @Description Copies all the contents of all the folders in the rootFolder into the targetFolder. This creates a master/merged package folder that contains all the content of all the other change sets.
+ * @Param rootFolder the parent folder in which to copy contents from
+ * @Param targetFolder the folder to copy all the folder contents into.
+ * @Return true when finished.
+ */
+function buildMergedPackageFolder(rootFolder, targetFolder) {
+    log(`Building merged package into folder... ${path.join(rootFolder, targetFolder)}`);
+
+    //folders are copied in merge order, so when two packages contain the same file the copy from the folder later in the order wins.
+    let packageFolders = getMergeOrder(rootFolder);
+
+    let collisions = findFileCollisions(rootFolder, packageFolders);
+    let unresolvedCollisions = collisions.filter((collision) => !getMergeOverride(collision));
+
+    if (unresolvedCollisions.length > 0) {
+        unresolvedCollisions.forEach(function (collision) {
+            log(`File ${collision.file} differs between change sets: ${collision.changeSets.join(", ")}. Add it to mergeOverrides to choose which copy is used.`, true, "red");
+        });
+        if (config.failOnMergeCollisions) throw new MergeError(`${unresolvedCollisions.length} files differ between change sets and have no entry in mergeOverrides. Merged package was not built.`);
+    }
+
+    //start from an empty folder so files from change sets that were removed or left out of this run don't linger in the merged package. This is only done once the merge is known to go ahead,
+    //so a merge that stops on a collision leaves the last merged package in place.
+    fs.rmSync(path.join(rootFolder, targetFolder), { recursive: true, force: true });
+
+    for (const folderName of packageFolders) {
+        log(`Reading package from: ${path.join(rootFolder, folderName)}`);
+
+        copyRecursiveSync(path.join(rootFolder, folderName), path.join(rootFolder, targetFolder));
+    }
+
+    //copy the overridden files last so they replace whatever copy the merge order put in place.
+    for (const collision of collisions) {
+        let winner = getMergeOverride(collision);
+        if (!winner) continue;
+
+        log(`Using copy of ${collision.file} from ${winner} as set in mergeOverrides`);
+        fs.copyFileSync(path.join(rootFolder, winner, collision.file), path.join(rootFolder, targetFolder, collision.file));
+    }
+
+    return true;
+}
+
+/**
+ * @Description Gets the package folders in the order they are copied into the merged package folder. The merged package folder itself is never included.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return array of strings containing package folder names. When packages collide, the last one in the array wins.
+ */
+function getMergeOrder(rootFolder) {
+    if (!fs.existsSync(rootFolder)) throw new MergeError(`The change set folder ${rootFolder} does not exist. Fetch some change sets first.`);
+
+    let packageFolders = getSubFolders(rootFolder)
+        .filter((folderName) => folderName != config.mergedPackageFolder)
+        .filter((folderName) => config.onlyChangeSets.length == 0 || isChangeSetListed(folderName, config.onlyChangeSets))
+        .sort();
+
+    switch (config.mergeOrder) {
+        case "name":
+            return packageFolders;
+        case "date": {
+            //oldest first, so the most recently uploaded/retrieved copy wins.
+            let dates = {};
+            packageFolders.forEach((folderName) => (dates[folderName] = getChangeSetDate(rootFolder, folderName)));
+            return packageFolders.sort((a, b) => dates[a] - dates[b]);
+        }
+        case "changeSetList":
+            //change sets later in the change set file win. Folders not in the file are copied first.
+            return sortByList(packageFolders, readChangeSetNames().map(toFolderName));
+        case "priority":
+            //mergePriority is listed from highest to lowest priority, so it is reversed to put the highest priority folder last. Folders not in the list are copied first.
+            return sortByList(packageFolders, config.mergePriority.map(toFolderName).reverse());
+        default:
+            throw new ConfigError(`Invalid mergeOrder "${config.mergeOrder}". Valid values are: name, date, changeSetList, priority`);
+    }
+}
+
+/**
+ * @Description Sorts folder names so that those in the given list come after those that are not, in the same order they appear in the list.
+ * @Param folderNames array of folder names to sort.
+ * @Param orderedNames array of names in the order they should be sorted.
+ * @Return new sorted array of folder names.
+ */
+function sortByList(folderNames, orderedNames) {
+    let unlisted = folderNames.filter((folderName) => orderedNames.indexOf(folderName) == -1);
+    let listed = orderedNames.filter((folderName) => folderNames.indexOf(folderName) > -1);
+    return unlisted.concat(getUnique(listed));
+}
+
+/**
+ * @Description Gets the date a change set was uploaded, as recorded in changeSets.json when change sets were discovered. If it isn't known, the date the change set was retrieved (when its package.xml was written) is used.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Param folderName the folder of the change set.
+ * @Return the date as milliseconds since epoch.
+ */
+function getChangeSetDate(rootFolder, folderName) {
+    let detailsFile = path.join(config.outputFolder, "changeSets.json");
+    if (fs.existsSync(detailsFile)) {
+        let changeSet = readJSONFromFile(detailsFile).find((entry) => entry.direction == "outbound" && toFolderName(entry.name) == folderName);
+        if (changeSet && changeSet.uploadedDate) return Date.parse(changeSet.uploadedDate);
+    }
+    return fs.statSync(path.join(rootFolder, folderName, "package.xml")).mtimeMs;
+}
+
+/**
+ * @Description Finds every file that exists in more than one package folder with different contents. Files with identical contents are not collisions since it doesn't matter which copy is used.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Param packageFolders array of package folder names to check, in merge order.
+ * @Return array of objects with the properties file (path relative to the package folder, using / as the separator) and changeSets (the folders that contain the file, in merge order).
+ */
+function findFileCollisions(rootFolder, packageFolders) {
+    let fileOwners = {};
+
+    for (const folderName of packageFolders) {
+        for (const fileName of getFilesRecursive(path.join(rootFolder, folderName))) {
+            //every package has its own package.xml, which is replaced by the merged one.
+            if (fileName == "package.xml") continue;
+
+            let key = fileName.split(path.sep).join("/");
+            if (!fileOwners.hasOwnProperty(key)) fileOwners[key] = [];
+            fileOwners[key].push(folderName);
+        }
+    }
+
+    let collisions = [];
+    for (const [fileName, changeSets] of Object.entries(fileOwners)) {
+        if (changeSets.length < 2) continue;
+
+        let hashes = changeSets.map((folderName) => hashFiles(path.join(rootFolder, folderName), [fileName]));
+        if (getUnique(hashes).length > 1) collisions.push({ file: fileName, changeSets: changeSets });
+    }
+
+    return collisions;
+}
+
+/**
+ * @Description Gets the change set whose copy of a colliding file should be used, as set in the mergeOverrides config property.
+ * @Param collision a collision object generated by findFileCollisions()
+ * @Return the name of the change set to use the file from, or null if there is no valid override for the file.
+ */
+function getMergeOverride(collision) {
+    let winner = config.mergeOverrides[collision.file] && toFolderName(config.mergeOverrides[collision.file]);
+    if (!winner) return null;
+    if (collision.changeSets.indexOf(winner) == -1) {
+        log(`mergeOverrides entry for ${collision.file} names ${winner}, which does not contain that file. Ignoring it.`, true, "yellow");
+        return null;
+    }
+    return winner;
+}
+
+/**
+ * @Description Reads the package.xml of every package folder and lists every component in each of them.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return array of objects with the properties changeSet, type and member, in merge order.
+ */
+function getPackageComponents(rootFolder) {
+    let components = [];
+
+    for (const folderName of getMergeOrder(rootFolder)) {
+        let packageData = parsePackageXMLFile(path.join(rootFolder, folderName, "package.xml"));
+        if (!packageData || !packageData.Package || !packageData.Package.types) continue;
+
+        packageData.Package.types.forEach(function (thisType) {
+            (thisType.members || []).forEach((member) => components.push({ changeSet: folderName, type: String(thisType.name), member: member }));
+        });
+    }
+
+    return components;
+}
+
+/**
+ * @Description Builds an inventory of every file of every component in every change set, so it is clear exactly which change set shipped what.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return array of objects with the properties changeSet, type, member, filePath and fileHash. Components whose files could not be located have a single entry with an empty filePath and fileHash.
+ */
+function buildInventory(rootFolder) {
+    let inventory = [];
+
+    log("Building component inventory");
+
+    for (const component of getPackageComponents(rootFolder)) {
+        let packageFolder = path.join(rootFolder, component.changeSet);
+        let files = getComponentFiles(packageFolder, component.type, component.member);
+
+        if (files.length == 0) inventory.push({ ...component, filePath: "", fileHash: "" });
+        files.forEach((fileName) => inventory.push({ ...component, filePath: fileName.split(path.sep).join("/"), fileHash: hashFile(path.join(packageFolder, fileName)) }));
+    }
+
+    return inventory;
+}
+
+/**
+ * @Description Finds every component (type + member) that is included in more than one change set. For each one, records whether the files that make up the component differ between the change sets
+ * and which change set's copy ends up in the merged package folder.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return array of conflict objects with the properties type, member, changeSets, contentsDiffer and mergedCopy. contentsDiffer is null when the component's files could not be located.
+ */
+function findComponentConflicts(rootFolder) {
+    let conflicts = [];
+
+    log("Checking for components included in more than one change set");
+
+    for (const component of getComponentSources(rootFolder)) {
+        if (component.changeSets.length < 2) continue;
+
+        let hashes = Object.values(component.hashes);
+        let conflict = {
+            type: component.type,
+            member: component.member,
+            changeSets: component.changeSets,
+            contentsDiffer: hashes.length > 1 ? getUnique(hashes).length > 1 : null,
+            mergedCopy: component.mergedCopy,
+        };
+        conflicts.push(conflict);
+
+        log(
+            `${conflict.type} ${conflict.member} is in change sets: ${conflict.changeSets.join(", ")}. Contents differ: ${conflict.contentsDiffer == null ? "unknown" : conflict.contentsDiffer}. Merged copy from: ${conflict.mergedCopy}`,
+            true,
+            conflict.contentsDiffer ? "red" : "yellow"
+        );
+    }
+
+    return conflicts;
+}
+
+/**
+ * @Description Gets every unique component (type + member) in the package folders along with the change sets that contain it, the hash of its files in each of them and which copy ends up in the merged package folder.
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return array of objects with the properties type, member, changeSets (in merge order), hashes (object of change set name to hash of the component's files, only for change sets where the files were found) and mergedCopy.
+ */
+function getComponentSources(rootFolder) {
+    let componentSources = {};
+
+    for (const component of getPackageComponents(rootFolder)) {
+        let key = `${component.type}:${component.member}`;
+        if (!componentSources.hasOwnProperty(key)) componentSources[key] = { type: component.type, member: component.member, changeSets: [] };
+        componentSources[key].changeSets.push(component.changeSet);
+    }
+
+    for (const component of Object.values(componentSources)) {
+        let mergeOverride;
+        component.hashes = {};
+        //change sets are in merge order, so the last one that actually contains the files is the copy that lands in the merged folder.
+        component.mergedCopy = component.changeSets[component.changeSets.length - 1];
+
+        for (const changeSet of component.changeSets) {
+            let packageFolder = path.join(rootFolder, changeSet);
+            let files = getComponentFiles(packageFolder, component.type, component.member);
+            if (files.length == 0) continue;
+            component.hashes[changeSet] = hashFiles(packageFolder, files);
+            component.mergedCopy = changeSet;
+
+            //a merge override on any of the component's files decides which copy is used instead of the merge order.
+            for (const fileName of files) {
+                let winner = config.mergeOverrides[fileName.split(path.sep).join("/")] && toFolderName(config.mergeOverrides[fileName.split(path.sep).join("/")]);
+                if (winner && component.changeSets.indexOf(winner) > -1) mergeOverride = winner;
+            }
+        }
+
+        if (mergeOverride) component.mergedCopy = mergeOverride;
+    }
+
+    return Object.values(componentSources);
+}
+
+/**
+ * @Description Creates a snapshot of the merged manifest and the hash of each component's files as they end up in the merged package, so later runs can tell what changed.
+ * @Param mergedData the merged package object generated by mergeObjects()
+ * @Param rootFolder the parent folder that contains the downloaded change sets.
+ * @Return snapshot object with the properties name, createdDate, manifest and components (object keyed by 'Type:Member' with the properties type, member, changeSet and hash).
+ */
+function createSnapshot(mergedData, rootFolder) {
+    let createdDate = new Date();
+    let snapshot = { name: createdDate.toISOString().replace(/:/g, "-").replace(/\..+$/, ""), createdDate: createdDate.toISOString(), manifest: mergedData, components: {} };
+
+    for (const component of getComponentSources(rootFolder)) {
+        snapshot.components[`${component.type}:${component.member}`] = {
+            type: component.type,
+            member: component.member,
+            changeSet: component.mergedCopy,
+            hash: component.hashes[component.mergedCopy] || null,
+        };
+    }
+
+    return snapshot;
+}
+
+/**
+ * @Description Compares two snapshots to find the components that were added, removed or modified between them.
+ * @Param previous the older snapshot object. If null, every component in the current snapshot is treated as added.
+ * @Param current the newer snapshot object.
+ * @Return object with the properties from, to, added, removed and modified. Each of the last three is an array of component entries from the snapshots.
+ */
+function diffSnapshots(previous, current) {
+    let previousComponents = previous ? previous.components : {};
+    let changes = { from: previous ? previous.name : null, to: current.name, added: [], removed: [], modified: [] };
+
+    for (const [key, component] of Object.entries(current.components)) {
+        let previousComponent = previousComponents[key];
+        if (!previousComponent) changes.added.push(component);
+        else if (component.hash && previousComponent.hash && component.hash != previousComponent.hash) changes.modified.push({ ...component, previousChangeSet: previousComponent.changeSet });
+    }
+    for (const [key, component] of Object.entries(previousComponents)) {
+        if (!current.components.hasOwnProperty(key)) changes.removed.push(component);
+    }
+
+    return changes;
+}
+
+/**
+ * @Description Gets the paths of the files that make up a single component in a downloaded package folder, including any '-meta.xml' companion files.
+ * @Param packageFolder the folder of the downloaded change set.
+ * @Param typeName the metadata type of the component. Such as ApexClass or CustomField.
+ * @Param member the name of the component as it appears in the package.xml.
+ * @Return array of file paths relative to the package folder. Empty if the type is unknown or no files exist.
+ */
+function getComponentFiles(packageFolder, typeName, member) {
+    let componentPaths = getComponentPaths(typeName, member);
+    if (!componentPaths) return [];
+
+    let candidates = componentPaths.files;
+    if (componentPaths.bundleFolder && fs.existsSync(path.join(packageFolder, componentPaths.bundleFolder))) {
+        candidates = getFilesRecursive(path.join(packageFolder, componentPaths.bundleFolder)).map((fileName) => path.join(componentPaths.bundleFolder, fileName));
+    }
+
+    return candidates.filter((fileName) => fs.existsSync(path.join(packageFolder, fileName)));
+}
+
+/**
+ * @Description Gets the paths a single component's files should have in a package folder in metadata API format, whether or not they exist.
+ * @Param typeName the metadata type of the component. Such as ApexClass or CustomField.
+ * @Param member the name of the component as it appears in the package.xml.
+ * @Return object with the properties files (array of file paths relative to the package folder) and bundleFolder (for bundle types, the folder that holds all of the component's files, otherwise null).
+ * Returns null if the type is not in the metadataTypes registry.
+ */
+function getComponentPaths(typeName, member) {
+    let typeInfo = metadataTypes[typeName];
+    if (!typeInfo) return null;
+
+    //child components live in the file of their parent, which is named by the portion of the member before the first period (Account.MyField__c lives in Account.object)
+    if (typeInfo.parent) return getComponentPaths(typeInfo.parent, typeInfo.parentMember || member.split(".")[0]);
+
+    if (typeInfo.inFolder && member.indexOf("/") == -1) {
+        //a member of a folder based type without a slash is the folder itself, which only has a meta file.
+        return { files: [path.join(typeInfo.directoryName, `${member}-meta.xml`)], bundleFolder: null };
+    }
+    if (typeInfo.bundle) {
+        return { files: [], bundleFolder: path.join(typeInfo.directoryName, member) };
+    }
+
+    let componentFile = path.join(typeInfo.directoryName, typeInfo.suffix ? `${member}.${typeInfo.suffix}` : member);
+    return { files: typeInfo.metaFile ? [componentFile, `${componentFile}-meta.xml`] : [componentFile], bundleFolder: null };
+}
+
+/**
+ * @Description Merges together an array of package.xml files (as strings) into one javascript object containing all the data of all the provided elements.
+ * @Param filesDataArray an array of strings that represent package.xml files to merge together.
+ * @Param packageObject the object to merge the packages into.
+ * @Return a single javascript object that contains all the keys/values of the objects provided inthe filesDataArray
+ */
+function mergeObjects(filesDataArray, packageObject) {
+    filesDataArray.forEach(function (thisFile, index) {
+        if (!packageObject) packageObject = {};
+        if (thisFile && thisFile.hasOwnProperty("Package") && thisFile.Package.hasOwnProperty("types")) {
+            thisFile.Package.types.forEach(function (thisType, index2) {
+                log("Writing " + thisType.members.length + " members to " + thisType.name);
+                packageObject = appendTypesToPackage(String(thisType.name), thisType.members, packageObject);
+            });
+        } else {
+            log("Malfomred or empty packaged file: " + index, true, "red");
+        }
+    });
+
+    return packageObject;
+}
+
+/**
+ * @Description Builds the package object for a destructive changes manifest from the removed components waiting to be deployed and those listed in the deleted components file.
+ * Components that are still in the merged package are never included, since deleting them would undo the deployment.
+ * @Param removedComponents array of objects with the properties type and member, such as the pending deletions returned by updatePendingDeletions()
+ * @Param mergedData the merged package object generated by mergeObjects()
+ * @Return a javascript object that represents a destructiveChanges.xml file.
+ */
+function buildDestructiveChanges(removedComponents, mergedData) {
+    let destructiveData = createPackageXmlTemplate();
+    let componentsToDelete = removedComponents.map((component) => ({ type: component.type, member: component.member }));
+
+    if (config.deletedComponentsFile) {
+        let deletedComponents = readConfigJSONFile("deletedComponentsFile");
+        if (deletedComponents == null || typeof deletedComponents != "object" || Array.isArray(deletedComponents)) {
+            throw new ConfigError(`${config.deletedComponentsFile} must contain a JSON object that maps each metadata type to an array of member names.`);
+        }
+        for (const [typeName, members] of Object.entries(deletedComponents)) {
+            if (!Array.isArray(members)) throw new ConfigError(`${config.deletedComponentsFile} must map each metadata type to an array of member names, but ${typeName} is not an array.`);
+            members.forEach((member) => componentsToDelete.push({ type: typeName, member: member }));
+        }
+    }
+
+    for (const component of componentsToDelete) {
+        //wildcards can't be used in destructive changes.
+        if (component.member == "*") continue;
+
+        let mergedType = mergedData.Package.types.find((thisType) => String(thisType.name) == component.type);
+        if (mergedType && mergedType.members.indexOf(component.member) > -1) {
+            log(`${component.type} ${component.member} is marked as deleted but is still in a change set. It will not be deleted.`, true, "yellow");
+            continue;
+        }
+        destructiveData = appendTypesToPackage(component.type, [component.member], destructiveData);
+    }
+
+    destructiveData.Package.types = destructiveData.Package.types.sort((a, b) => (a.name > b.name ? 1 : -1));
+    return sortValues(destructiveData);
+}
+
+/**
+ * @Description Merges the 'members' elements of the 'types' properties of a given package object. Used by the mergePacakge function to combine package contents together.
+ * @Param typeName the name of the 'type' property to merge. Such as ApexTrigger or CustomField, etc.
+ * @Param the new list of 'member' entries to merge into the package object.
+ * @Param packageObject the merged package into which these new members should be merged.
+ * @Param modified packageObject with new unique members merged into the propert type.
+ */
+function appendTypesToPackage(typeName, members, packageObject) {
+    //ensure the incoming package object has the types property. If not, initialize it
+    if (!packageObject.Package.hasOwnProperty("types")) packageObject.Package.types = [];
+    let matchFound = false;
+
+    //iterate over every type in our package object.
+    packageObject.Package.types.forEach(function (thisType, index2) {
+        let thisTypeName = String(thisType.name);
+
+        //if the currently iterated type matches the one provided in the function all, then we want to set the members property to an array of those two array merged together and de-duplicated.
+        if (thisTypeName == typeName) {
+            thisType.members = getUnique(thisType.members.concat(members));
+            matchFound = true;
+            return packageObject;
+        }
+    });
+
+    if (!matchFound) {
+        let dataObject = { name: typeName, members: getUnique(members) };
+        packageObject.Package.types.push(dataObject);
+    }
+
+    return packageObject;
+}
+
+/**
+ * @Description Uses the metadataTypes registry to make the merged package correct and minimal. Explicit members covered by a '*' wildcard are removed, wildcards on types that don't support them are removed,
+ * and child members (such as CustomField) are removed when their parent component is in the package since the parent's file deploys them. Also finds problems that will likely fail a deployment, such as a
+ * child of a custom object that isn't in the package or a report whose folder isn't in the package.
+ * @Param packageObject the merged package object. Modified in place.
+ * @Return array of warning strings.
+ */
+function reconcileManifest(packageObject) {
+    let warnings = [];
+    let membersByType = {};
+    packageObject.Package.types.forEach((thisType) => (membersByType[String(thisType.name)] = thisType.members));
+
+    //custom components end in a suffix like __c, __mdt or __e. Standard ones don't.
+    const isCustomName = (member) => /__[a-z]+$/i.test(member);
+    const wildcardCovers = (typeName, member) => !((metadataTypes[typeName] || {}).wildcardExcludesStandard && !isCustomName(member));
+    const hasMember = (typeName, member) => {
+        let members = membersByType[typeName] || [];
+        return members.indexOf(member) > -1 || (members.indexOf("*") > -1 && wildcardCovers(typeName, member));
+    };
+    const warn = (message) => {
+        log(message, true, "yellow");
+        warnings.push(message);
+    };
+
+    for (const thisType of packageObject.Package.types) {
+        let typeName = String(thisType.name);
+        let typeInfo = metadataTypes[typeName] || {};
+        let members = thisType.members;
+
+        if (members.indexOf("*") > -1) {
+            if (typeInfo.wildcard === false) {
+                warn(`${typeName} does not support the * wildcard. It was removed from the package, so each ${typeName} must be listed by name.`);
+                members = members.filter((member) => member != "*");
+            } else {
+                let covered = members.filter((member) => member != "*" && wildcardCovers(typeName, member));
+                if (covered.length > 0) log(`Removing ${covered.length} ${typeName} members that are already covered by the * wildcard`);
+                members = members.filter((member) => covered.indexOf(member) == -1);
+            }
+        }
+
+        if (typeInfo.parent) {
+            members = members.filter(function (member) {
+                if (member == "*") return true;
+
+                let parentMember = typeInfo.parentMember || member.split(".")[0];
+                //the parent's file contains the child, so listing the child as well is redundant.
+                if (hasMember(typeInfo.parent, parentMember)) return false;
+
+                if (typeInfo.parent == "CustomObject" && isCustomName(parentMember)) {
+                    warn(`${typeName} ${member} is in the package but its parent CustomObject ${parentMember} is not. Deployment will fail unless the object already exists in the target org.`);
+                }
+                return true;
+            });
+        }
+
+        if (typeInfo.inFolder) {
+            for (const member of members) {
+                if (member.indexOf("/") == -1) continue;
+
+                let folderName = member.substring(0, member.lastIndexOf("/"));
+                if (folderName != "unfiled$public" && members.indexOf(folderName) == -1) {
+                    warn(`${typeName} ${member} is in the package but its folder ${folderName} is not. Deployment will fail unless the folder already exists in the target org.`);
+                }
+            }
+        }
+
+        thisType.members = members;
+    }
+
+    packageObject.Package.types = packageObject.Package.types.filter((thisType) => thisType.members.length > 0);
+    return warnings;
+}
+
+/**
+ * @Description Sorts all the member values of the types properties of the package object.
+ * @Param packageObject a javascript object that represents a package.xml file
+ * @Return javascript object with the members array of each types entry sorted.
+ */
+function sortValues(packageObject) {
+    packageObject.Package.types.forEach(function (thisType, index2) {
+        thisType.members.sort();
+    });
+
+    return packageObject;
+}
+
+module.exports = {
+    packageStructure,
+    metadataTypes,
+    createPackageXmlTemplate,
+    readPackageXML,
+    parsePackageXMLFile,
+    buildMergedPackageFolder,
+    getMergeOrder,
+    sortByList,
+    getChangeSetDate,
+    findFileCollisions,
+    getMergeOverride,
+    getPackageComponents,
+    buildInventory,
+    findComponentConflicts,
+    getComponentSources,
+    createSnapshot,
+    diffSnapshots,
+    getComponentFiles,
+    getComponentPaths,
+    mergeObjects,
+    buildDestructiveChanges,
+    appendTypesToPackage,
+    reconcileManifest,
+    sortValues,
+};
@@ -0,0 +1,575 @@
+/**
+ * @Description Writes the merged manifest, inventory, conflict, change log and HTML reports into the output folder.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const xml2js = require("xml2js");
+const { readJSONFromFile, toFolderName, toCSVValue } = require("./utils");
+const { config, getOrgConfig, useConfig } = require("./config");
+const { log } = require("./logger");
+const { getMergeOrder, getChangeSetDate, getPackageComponents } = require("./manifest");
+const { ConfigError } = require("./errors");
+
+/**
+ * @Description Writes a JSON and CSV file into the output folder listing every component in every change set of every org, so it is clear which org each component came from.
+ * @Param orgs array of org usernames/aliases that were run against.
+ * @Param filename the name to use for the generated files, without extension.
+ */
+function writeOrgComponentReport(orgs, filename) {
+    let rows = [];
+    let baseConfig = { ...config };
+
+    //the merge order of each org comes from its own config, such as its own change set JSON file when mergeOrder is changeSetList.
+    try {
+        for (const org of orgs) {
+            let orgConfig = getOrgConfig(baseConfig, org, true);
+            if (!fs.existsSync(orgConfig.rootFolder)) continue;
+
+            useConfig(orgConfig);
+            getPackageComponents(orgConfig.rootFolder).forEach((component) => rows.push({ org: org, ...component }));
+        }
+    } finally {
+        useConfig(baseConfig);
+    }
+
+    log(`Writing component list for ${orgs.length} orgs`);
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(rows, undefined, 2));
+
+    let csvString = ["Org", "Change Set", "Type", "Member"].map(toCSVValue).join(",") + "\r\n";
+    rows.forEach((row) => (csvString += [row.org, row.changeSet, row.type, row.member].map(toCSVValue).join(",") + "\r\n"));
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.csv`), csvString);
+}
+
+/**
+ * @Description Writes the given inventory into a JSON and a CSV file in the output folder.
+ * @Param inventory array of inventory entries generated by buildInventory()
+ * @Param filename the name to use for the generated files, without extension.
+ */
+function writeInventory(inventory, filename) {
+    log(`Writing inventory of ${inventory.length} component files`);
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(inventory, undefined, 2));
+
+    let csvString = ["Change Set", "Type", "Member", "File Path", "File Hash"].map(toCSVValue).join(",") + "\r\n";
+    inventory.forEach((entry) => (csvString += [entry.changeSet, entry.type, entry.member, entry.filePath, entry.fileHash].map(toCSVValue).join(",") + "\r\n"));
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.csv`), csvString);
+}
+
+/**
+ * @Description Writes a snapshot into the snapshots folder of the output folder, named for the time it was created.
+ * @Param snapshot the snapshot object generated by createSnapshot()
+ */
+function saveSnapshot(snapshot) {
+    let snapshotFolder = path.join(config.outputFolder, "snapshots");
+    if (!fs.existsSync(snapshotFolder)) fs.mkdirSync(snapshotFolder, { recursive: true });
+
+    log(`Saving snapshot ${snapshot.name}`);
+    fs.writeFileSync(path.join(snapshotFolder, `${snapshot.name}.json`), JSON.stringify(snapshot, undefined, 2));
+}
+
+/**
+ * @Description Loads a previously saved snapshot to compare against.
+ * @Param snapshotName the name of the snapshot to load. If blank, the most recent snapshot is loaded.
+ * @Return the snapshot object, or null if no name was given and there are no saved snapshots.
+ */
+function loadSnapshot(snapshotName) {
+    let snapshotFolder = path.join(config.outputFolder, "snapshots");
+    let snapshotNames = fs.existsSync(snapshotFolder)
+        ? fs
+              .readdirSync(snapshotFolder)
+              .filter((fileName) => fileName.endsWith(".json"))
+              .map((fileName) => fileName.slice(0, -5))
+              .sort()
+        : [];
+
+    if (snapshotName) {
+        if (snapshotNames.indexOf(snapshotName) == -1) throw new ConfigError(`Snapshot "${snapshotName}" does not exist in ${snapshotFolder}. Available snapshots: ${snapshotNames.join(", ") || "none"}`);
+    } else {
+        if (snapshotNames.length == 0) return null;
+        snapshotName = snapshotNames[snapshotNames.length - 1];
+    }
+
+    return readJSONFromFile(path.join(snapshotFolder, `${snapshotName}.json`));
+}
+
+/**
+ * @Description Writes the given changes into a Markdown and a JSON file in the output folder, for use in release notes.
+ * @Param changes the changes object generated by diffSnapshots()
+ * @Param filename the name to use for the generated files, without extension.
+ */
+function writeChangeLog(changes, filename) {
+    log(`Changes since ${changes.from || "the first run"}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.modified.length} modified`, true, "green");
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(changes, undefined, 2));
+
+    let markdown = `# Change Log\n\n`;
+    markdown += changes.from ? `Changes between snapshot ${changes.from} and ${changes.to}.\n` : `No previous snapshot exists, so every component in snapshot ${changes.to} is listed as added.\n`;
+
+    let sections = [
+        { title: "Added", entries: changes.added },
+        { title: "Removed", entries: changes.removed },
+        { title: "Modified", entries: changes.modified },
+    ];
+    for (const section of sections) {
+        markdown += `\n## ${section.title} (${section.entries.length})\n\n`;
+        if (section.entries.length == 0) {
+            markdown += "None.\n";
+            continue;
+        }
+
+        markdown += "| Type | Member | Change Set |\n| --- | --- | --- |\n";
+        section.entries
+            .slice()
+            .sort((a, b) => (a.type + a.member > b.type + b.member ? 1 : -1))
+            .forEach((entry) => (markdown += `| ${[entry.type, entry.member, entry.changeSet].map((value) => String(value).replace(/\|/g, "\\|")).join(" | ")} |\n`));
+    }
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.md`), markdown);
+}
+
+/**
+ * @Description Writes the given component conflicts into a JSON and a CSV file in the output folder.
+ * @Param conflicts array of conflict objects generated by findComponentConflicts()
+ * @Param filename the name to use for the generated files, without extension.
+ */
+function writeConflictReport(conflicts, filename) {
+    log(`Writing conflict report. ${conflicts.length} components were found in more than one change set.`, true, conflicts.length ? "yellow" : "green");
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(conflicts, undefined, 2));
+
+    let csvString = ["Type", "Member", "Change Sets", "Contents Differ", "Merged Copy"].map(toCSVValue).join(",") + "\r\n";
+    conflicts.forEach(function (conflict) {
+        let contentsDiffer = conflict.contentsDiffer == null ? "Unknown" : conflict.contentsDiffer ? "Yes" : "No";
+        csvString += [conflict.type, conflict.member, conflict.changeSets.join("; "), contentsDiffer, conflict.mergedCopy].map(toCSVValue).join(",") + "\r\n";
+    });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.csv`), csvString);
+}
+
+/**
+ * @Description Gathers everything shown in the HTML report: the details of each change set, its components grouped by type, the conflicts between change sets and totals.
+ * @Param mergedData the merged package object generated by mergeObjects()
+ * @Param inventory array of inventory entries generated by buildInventory()
+ * @Param conflicts array of conflict objects generated by findComponentConflicts()
+ * @Return report data object.
+ */
+function buildReportData(mergedData, inventory, conflicts) {
+    let detailsFile = path.join(config.outputFolder, "changeSets.json");
+    let details = fs.existsSync(detailsFile) ? readJSONFromFile(detailsFile).filter((entry) => entry.direction == "outbound") : [];
+
+    let changeSets = getMergeOrder(config.rootFolder).map(function (folderName) {
+        let detail = details.find((entry) => toFolderName(entry.name) == folderName) || {};
+        let components = {};
+
+        inventory
+            .filter((entry) => entry.changeSet == folderName)
+            .forEach(function (entry) {
+                if (!components.hasOwnProperty(entry.type)) components[entry.type] = {};
+                if (!components[entry.type].hasOwnProperty(entry.member)) components[entry.type][entry.member] = [];
+                if (entry.filePath) components[entry.type][entry.member].push(entry.filePath);
+            });
+
+        return {
+            name: detail.name || folderName,
+            folder: folderName,
+            description: detail.description || "",
+            status: detail.status || "",
+            uploadedDate: detail.uploadedDate || new Date(getChangeSetDate(config.rootFolder, folderName)).toISOString(),
+            id: detail.id || "",
+            components: Object.keys(components)
+                .sort()
+                .map((type) => ({ type: type, members: Object.keys(components[type]).map((member) => ({ member: member, files: components[type][member] })) })),
+        };
+    });
+
+    let manifestTypes = (mergedData.Package.types || []).map((thisType) => ({ type: String(thisType.name), members: thisType.members || [] }));
+
+    return {
+        generatedDate: new Date().toISOString(),
+        org: config.username,
+        changeSets: changeSets,
+        conflicts: conflicts,
+        manifest: manifestTypes,
+        totals: {
+            changeSets: changeSets.length,
+            components: manifestTypes.reduce((total, thisType) => total + thisType.members.length, 0),
+            types: manifestTypes.length,
+            files: inventory.filter((entry) => entry.filePath).length,
+            conflicts: conflicts.length,
+            conflictsWithDifferences: conflicts.filter((conflict) => conflict.contentsDiffer).length,
+        },
+    };
+}
+
+/**
+ * @Description Writes a self-contained HTML report into the output folder. The report data is embedded in the page and rendered in the browser so it can be searched and filtered without any other files.
+ * @Param reportData the report data object generated by buildReportData()
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeHtmlReport(reportData, filename) {
+    log(`Writing HTML report of ${reportData.totals.changeSets} change sets`);
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+
+    //'<' is escaped so nothing in a change set name or description can close the script tag.
+    let dataJson = JSON.stringify(reportData).replace(/</g, "\\u003c");
+    let title = `Release report${reportData.org ? " - " + reportData.org : ""}`.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0; }
+.subtitle { color: #666; margin-top: 0.25em; }
+.totals { display: flex; flex-wrap: wrap; gap: 1em; margin: 1.5em 0; }
+.total { border: 1px solid #ccc; border-radius: 4px; padding: 0.75em 1.25em; min-width: 8em; }
+.total .value { font-size: 1.75em; font-weight: bold; }
+.filters { position: sticky; top: 0; background: #fff; padding: 0.75em 0; border-bottom: 1px solid #ccc; display: flex; flex-wrap: wrap; gap: 1em; align-items: center; }
+.filters input[type=search] { width: 20em; padding: 0.3em; }
+details { border: 1px solid #ccc; border-radius: 4px; margin: 0.75em 0; padding: 0.5em 1em; }
+summary { cursor: pointer; font-weight: bold; }
+.meta { color: #555; font-size: 0.9em; margin: 0.5em 0; }
+table { border-collapse: collapse; width: 100%; margin: 0.5em 0; }
+th, td { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; vertical-align: top; font-size: 0.9em; }
+th { background: #f2f2f2; }
+.files { color: #666; font-family: monospace; }
+.conflict { background: #fff4e5; }
+.differs { background: #fde2e2; }
+.empty { color: #888; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="subtitle" id="generated"></p>
+<div class="totals" id="totals"></div>
+<div class="filters">
+<input type="search" id="search" placeholder="Search change sets, types and members">
+<label>Type <select id="typeFilter"><option value="">All types</option></select></label>
+<label>Change set <select id="changeSetFilter"><option value="">All change sets</option></select></label>
+<label><input type="checkbox" id="conflictsOnly"> Conflicts only</label>
+</div>
+<h2>Change sets</h2>
+<div id="changeSets"></div>
+<h2>Conflicts</h2>
+<div id="conflicts"></div>
+<h2>Merged manifest</h2>
+<div id="manifest"></div>
+<script>
+var report = ${dataJson};
+${getHtmlReportScript()}
+</script>
+</body>
+</html>
+`;
+
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.html`), html);
+    log(`Wrote HTML report to ${path.join(config.outputFolder, `${filename}.html`)}`, true, "green");
+}
+
+/**
+ * @Description Gets the browser script that renders the HTML report from the embedded report data and applies the search and filters.
+ * @Return string of javascript.
+ */
+function getHtmlReportScript() {
+    return `
+function escapeHtml(value) {
+    return String(value == null ? "" : value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+var conflictKeys = {};
+report.conflicts.forEach(function (conflict) { conflictKeys[conflict.type + ":" + conflict.member] = conflict; });
+
+function getFilters() {
+    return {
+        search: document.getElementById("search").value.toLowerCase(),
+        type: document.getElementById("typeFilter").value,
+        changeSet: document.getElementById("changeSetFilter").value,
+        conflictsOnly: document.getElementById("conflictsOnly").checked
+    };
+}
+
+function matches(filters, changeSet, type, member) {
+    if (filters.type && type != filters.type) return false;
+    if (filters.changeSet && changeSet.indexOf(filters.changeSet) == -1) return false;
+    if (filters.conflictsOnly && !conflictKeys[type + ":" + member]) return false;
+    if (filters.search && (changeSet.join(" ") + " " + type + " " + member).toLowerCase().indexOf(filters.search) == -1) return false;
+    return true;
+}
+
+function renderTotals() {
+    var labels = { changeSets: "Change sets", components: "Components", types: "Metadata types", files: "Files", conflicts: "Conflicts", conflictsWithDifferences: "Conflicts with different contents" };
+    document.getElementById("totals").innerHTML = Object.keys(labels).map(function (key) {
+        return '<div class="total"><div class="value">' + report.totals[key] + '</div>' + labels[key] + '</div>';
+    }).join("");
+    document.getElementById("generated").textContent = "Generated " + new Date(report.generatedDate).toLocaleString();
+}
+
+function renderFilters() {
+    var types = report.manifest.map(function (entry) { return entry.type; });
+    document.getElementById("typeFilter").innerHTML += types.map(function (type) { return '<option>' + escapeHtml(type) + '</option>'; }).join("");
+    document.getElementById("changeSetFilter").innerHTML += report.changeSets.map(function (changeSet) { return '<option value="' + escapeHtml(changeSet.folder) + '">' + escapeHtml(changeSet.name) + '</option>'; }).join("");
+}
+
+function renderChangeSets(filters) {
+    var filtering = filters.search || filters.type || filters.changeSet || filters.conflictsOnly;
+    var html = report.changeSets.map(function (changeSet) {
+        var rows = [];
+        changeSet.components.forEach(function (component) {
+            component.members.forEach(function (entry) {
+                if (!matches(filters, [changeSet.folder, changeSet.name], component.type, entry.member)) return;
+                var conflict = conflictKeys[component.type + ":" + entry.member];
+                rows.push('<tr class="' + (conflict ? (conflict.contentsDiffer ? "differs" : "conflict") : "") + '"><td>' + escapeHtml(component.type) + '</td><td>' + escapeHtml(entry.member) +
+                    '</td><td class="files">' + entry.files.map(escapeHtml).join("<br>") + '</td><td>' + (conflict ? "Also in: " + escapeHtml(conflict.changeSets.filter(function (name) { return name != changeSet.folder; }).join(", ")) : "") + '</td></tr>');
+            });
+        });
+        if (filtering && rows.length == 0) return "";
+        var count = changeSet.components.reduce(function (total, component) { return total + component.members.length; }, 0);
+        return '<details' + (filtering ? " open" : "") + '><summary>' + escapeHtml(changeSet.name) + ' (' + count + ' components)</summary>' +
+            '<div class="meta">' + [changeSet.status ? "Status: " + escapeHtml(changeSet.status) : "", changeSet.uploadedDate ? "Uploaded: " + escapeHtml(new Date(changeSet.uploadedDate).toLocaleString()) : "", changeSet.id ? "Id: " + escapeHtml(changeSet.id) : ""].filter(Boolean).join(" | ") + '</div>' +
+            (changeSet.description ? '<div class="meta">' + escapeHtml(changeSet.description) + '</div>' : "") +
+            (rows.length ? '<table><tr><th>Type</th><th>Member</th><th>Files</th><th>Conflicts</th></tr>' + rows.join("") + '</table>' : '<p class="empty">No components</p>') + '</details>';
+    }).join("");
+    document.getElementById("changeSets").innerHTML = html || '<p class="empty">No change sets match the filters</p>';
+}
+
+function renderConflicts(filters) {
+    var rows = report.conflicts.filter(function (conflict) { return matches(filters, conflict.changeSets, conflict.type, conflict.member); }).map(function (conflict) {
+        var differs = conflict.contentsDiffer == null ? "Unknown" : conflict.contentsDiffer ? "Yes" : "No";
+        return '<tr class="' + (conflict.contentsDiffer ? "differs" : "conflict") + '"><td>' + escapeHtml(conflict.type) + '</td><td>' + escapeHtml(conflict.member) + '</td><td>' + escapeHtml(conflict.changeSets.join(", ")) +
+            '</td><td>' + differs + '</td><td>' + escapeHtml(conflict.mergedCopy) + '</td></tr>';
+    });
+    document.getElementById("conflicts").innerHTML = rows.length ? '<table><tr><th>Type</th><th>Member</th><th>Change sets</th><th>Contents differ</th><th>Merged copy from</th></tr>' + rows.join("") + '</table>' : '<p class="empty">No conflicts</p>';
+}
+
+function renderManifest(filters) {
+    var changeSetsByComponent = {};
+    report.changeSets.forEach(function (changeSet) {
+        changeSet.components.forEach(function (component) {
+            component.members.forEach(function (entry) {
+                var key = component.type + ":" + entry.member;
+                (changeSetsByComponent[key] = changeSetsByComponent[key] || []).push(changeSet.folder);
+            });
+        });
+    });
+    var rows = [];
+    report.manifest.forEach(function (entry) {
+        var members = entry.members.filter(function (member) { return matches(filters, changeSetsByComponent[entry.type + ":" + member] || [], entry.type, member); });
+        if (members.length) rows.push('<tr><td>' + escapeHtml(entry.type) + ' (' + members.length + ')</td><td>' + members.map(escapeHtml).join("<br>") + '</td></tr>');
+    });
+    document.getElementById("manifest").innerHTML = rows.length ? '<table><tr><th>Type</th><th>Members</th></tr>' + rows.join("") + '</table>' : '<p class="empty">No components match the filters</p>';
+}
+
+function render() {
+    var filters = getFilters();
+    renderChangeSets(filters);
+    renderConflicts(filters);
+    renderManifest(filters);
+}
+
+renderTotals();
+renderFilters();
+["search", "typeFilter", "changeSetFilter", "conflictsOnly"].forEach(function (id) { document.getElementById(id).addEventListener("input", render); });
+document.getElementById("conflictsOnly").addEventListener("change", render);
+render();
+`;
+}
+
+/**
+ * @Description Writes the resulting files from the given objectData. This creates a package.xml, a package.json, and a package.csv that contain provided data. Additionally if createMergedPackage is true in the config
+ * this will write the merged package.xml file into the merged package folder built by buildMergedPackageFolder() so it is deployable.
+ * @Param objectData a javascript object that contains all the properties and values needed to create a package.xml file and its related files. This should be generated by the mergeObjects() functions.
+ * @Param filename the name to use for all the generated files. This should pretty much always be 'package'.
+ */
+function writeFiles(objectData, filename) {
+    objectData.Package.types = objectData.Package.types.sort((a, b) => (a.name > b.name ? 1 : -1));
+    if (config.forcePackageVersion != null) {
+        objectData.Package.version = config.forcePackageVersion;
+    }
+    log("Writing new package.xml...");
+
+    let configAsJson = JSON.stringify(objectData, undefined, 2);
+    let builder = new xml2js.Builder();
+    let xml = builder.buildObject(objectData);
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder);
+
+    //write the contents as JSON
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), configAsJson, function (err) {
+        if (err) return log(err);
+        log("The JSON file was created!");
+    });
+
+    //write the contents as XML
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.xml`), xml, function (err) {
+        if (err) return log(err);
+        log("The XML file was created");
+    });
+
+    //write the contents as XML
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.csv`), jsonToCSV(objectData), function (err) {
+        if (err) return log(err);
+        log("The XML file was created");
+    });
+
+    if (config.createMergedPackage) {
+        //write our merged package xml into the merged package folder as well.
+        fs.writeFileSync(path.join(config.rootFolder, config.mergedPackageFolder, "package.xml"), xml, function (err) {
+            if (err) return log(err);
+            log("The merged xml package file was created!");
+        });
+    }
+}
+
+/**
+ * @Description Adds the components removed since the last snapshot to the deletions waiting to be deployed, which are kept in pendingDeletions.json in the output folder. A removal only shows up in the
+ * snapshot comparison of the run right after it, so keeping the list means rerunning the script before deploying doesn't lose it. Components that are back in the merged package are dropped from the list.
+ * The list is cleared by clearPendingDeletions() once a deployment succeeds, or by hand with the 'deployed' command when the merged package is deployed some other way.
+ * @Param removedComponents array of component entries removed since the last snapshot, generated by diffSnapshots()
+ * @Param mergedData the merged package object generated by mergeObjects()
+ * @Return array of objects with the properties type, member and removedDate of every component waiting to be deleted.
+ */
+function updatePendingDeletions(removedComponents, mergedData) {
+    let pendingFile = path.join(config.outputFolder, "pendingDeletions.json");
+    let pendingDeletions = fs.existsSync(pendingFile) ? readJSONFromFile(pendingFile) : [];
+    const toKey = (component) => `${component.type}:${component.member}`;
+
+    //when only some change sets are merged, everything else would look like it was removed.
+    if (config.onlyChangeSets.length > 0 && removedComponents.length > 0) {
+        log("onlyChangeSets is set, so components removed since the last snapshot are not added to the destructive changes", true, "yellow");
+    } else {
+        let pendingKeys = pendingDeletions.map(toKey);
+        removedComponents
+            .filter((component) => pendingKeys.indexOf(toKey(component)) == -1)
+            .forEach((component) => pendingDeletions.push({ type: component.type, member: component.member, removedDate: new Date().toISOString() }));
+    }
+
+    pendingDeletions = pendingDeletions.filter(function (component) {
+        let mergedType = mergedData.Package.types.find((thisType) => String(thisType.name) == component.type);
+        return !mergedType || mergedType.members.indexOf(component.member) == -1;
+    });
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(pendingFile, JSON.stringify(pendingDeletions, undefined, 2));
+    if (pendingDeletions.length > 0) {
+        log(`${pendingDeletions.length} removed components are waiting to be deleted by the next deployment`, true, "yellow");
+        //deploying by hand can't clear the list, so it has to be cleared by hand too or the components will be in every destructive changes file from now on.
+        if (config.deployMergedPackage != "deploy") log("Once the destructive changes have been deployed, run the 'deployed' command so they aren't deleted again", true, "yellow");
+    }
+    return pendingDeletions;
+}
+
+/**
+ * @Description Forgets the deletions waiting to be deployed, once a deployment that included them has succeeded.
+ * @Return the number of components that were waiting to be deleted.
+ */
+function clearPendingDeletions() {
+    let pendingFile = path.join(config.outputFolder, "pendingDeletions.json");
+    if (!fs.existsSync(pendingFile)) return 0;
+
+    let pendingCount = readJSONFromFile(pendingFile).length;
+    log(`Clearing the list of ${pendingCount} components waiting to be deleted`);
+    fs.rmSync(pendingFile, { force: true });
+    return pendingCount;
+}
+
+/**
+ * @Description Writes the destructive changes manifest into the output folder and the merged package folder (if configured). If there is nothing to delete any destructive changes file left by a previous
+ * run is removed instead, so it doesn't get deployed by accident.
+ * @Param destructiveData a javascript object that represents a destructiveChanges.xml file, generated by buildDestructiveChanges()
+ */
+function writeDestructiveChanges(destructiveData) {
+    if (config.destructiveChangesType != "pre" && config.destructiveChangesType != "post") throw new ConfigError(`Invalid destructiveChangesType "${config.destructiveChangesType}". Valid values are: pre, post`);
+
+    let fileName = config.destructiveChangesType == "pre" ? "destructiveChangesPre.xml" : "destructiveChangesPost.xml";
+    let targetFolders = [config.outputFolder];
+    if (config.createMergedPackage) targetFolders.push(path.join(config.rootFolder, config.mergedPackageFolder));
+
+    if (destructiveData.Package.types.length == 0) {
+        log("No components to delete. Skipping destructive changes file.");
+        targetFolders.forEach((folder) => fs.rmSync(path.join(folder, fileName), { force: true }));
+        return;
+    }
+
+    if (config.forcePackageVersion != null) {
+        destructiveData.Package.version = config.forcePackageVersion;
+    }
+    log(`Writing ${fileName}...`, true, "yellow");
+
+    let builder = new xml2js.Builder();
+    let xml = builder.buildObject(destructiveData);
+
+    for (const folder of targetFolders) {
+        if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, fileName), xml);
+    }
+}
+
+/**
+ * @Description Converts a JSON object that represents a package.xml file into a CSV formatted string that can then be written to a file. Each 'type' will be a column header and each 'member' will be a row.
+ * this will create the mergedPackage folder, populate it with all contents and write the merged package.xml file into the newly created folder so it is deployable.
+ * @Param packageAsJsonObject a JSON object created from a package.xml file.
+ * @Return a string representing a CSV file with all the contents of the provided packageAsJsonObject
+ */
+function jsonToCSV(packageAsJsonObject) {
+    let csvString = "";
+    let colValues = [];
+    let rowLimit = 0;
+    //create the header row
+    for (const index in packageAsJsonObject.Package.types) {
+        csvString += toCSVValue(packageAsJsonObject.Package.types[index].name) + ",";
+        colValues.push(packageAsJsonObject.Package.types[index].members);
+        if (packageAsJsonObject.Package.types[index].members.length > rowLimit) rowLimit = packageAsJsonObject.Package.types[index].members.length;
+    }
+    csvString += "\r\n";
+    for (let index = 0; index < rowLimit; index++) {
+        let row = "";
+        for (const col in colValues) {
+            if (colValues[col][index]) row += toCSVValue(colValues[col][index]) + ",";
+            else row += '"",';
+        }
+        row += "\r\n";
+        csvString += row;
+    }
+
+    return csvString;
+}
+
+/**
+ * @Description Writes the warnings found while reconciling the merged manifest into a JSON file in the output folder.
+ * @Param warnings array of warning strings generated by reconcileManifest()
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeManifestWarnings(warnings, filename) {
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(warnings, undefined, 2));
+}
+
+module.exports = {
+    writeOrgComponentReport,
+    writeInventory,
+    saveSnapshot,
+    loadSnapshot,
+    writeChangeLog,
+    writeConflictReport,
+    buildReportData,
+    writeHtmlReport,
+    getHtmlReportScript,
+    writeFiles,
+    updatePendingDeletions,
+    clearPendingDeletions,
+    writeDestructiveChanges,
+    jsonToCSV,
+    writeManifestWarnings,
+};
@@ -0,0 +1,361 @@
+/**
+ * @Description Downloads change sets from the org with the SFDX CLI, or imports them from folders and .zip archives on disk, and optionally commits each of them to git.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { toFolderName, isChangeSetListed, findPackageFolder, copyRecursiveSync, getUnique } = require("./utils");
+const { config, requireOnline, readChangeSetNames } = require("./config");
+const { log } = require("./logger");
+const { runSfdxCommand, runGit } = require("./command");
+const { listChangeSets, selectChangeSets, writeLastRunFile } = require("./discovery");
+const { parsePackageXMLFile } = require("./manifest");
+const { extractZip } = require("./zip");
+const { convertFoldersToSource } = require("./conversion");
+const { ConfigError, RetrievalError, recordFailure } = require("./errors");
+
+/**
+ * @Description Downloads the change sets named in the change set JSON file. If automaticallyFetchChangeSetNames is true the names are scraped from Salesforce first.
+ */
+async function downloadChangeSets() {
+    requireOnline("Downloading change sets");
+
+    let startedDate = new Date();
+
+    //get all of the change sets by scraping the page
+    if (config.automaticallyFetchChangeSetNames) await listChangeSets();
+
+    //get the names of all the change sets to download. this currently comes from a hard coded file. Later it may be dynamic.
+    log(`Beginning package downloads`);
+    let changeSetsToFetchArray = readChangeSetNames();
+
+    //discovered change sets were already filtered before being written to the file. Names written by hand still need to be.
+    if (!config.automaticallyFetchChangeSetNames) changeSetsToFetchArray = (await selectChangeSets(changeSetsToFetchArray.map((name) => ({ name: name })))).map((changeSet) => changeSet.name);
+
+    //fetch the packages/change sets using the sfdx cli
+    let results = await fetchChangeSets(changeSetsToFetchArray);
+    log("Done fetching change sets");
+
+    //a change set that failed was uploaded before this run started, so moving the last run date past it would stop sinceLastRun from ever selecting it again.
+    if (results.some((result) => result.status == "failed")) log("Some change sets failed to download, so the last run date was not updated and they will be selected again next time", true, "yellow");
+    else writeLastRunFile(startedDate);
+}
+
+/**
+ * @Description Imports change sets from disk instead of downloading them, so no org connection or SFDX CLI is needed. Each folder and .zip archive listed in importPaths, and each .zip archive in the root folder,
+ * becomes a change set named after the folder or archive. Once all are imported they are committed to git (if configured) and a summary of each change set's status is written. If any import failed a failure is recorded.
+ * @Return array of result objects with the properties name, source, status (imported, skipped or failed) and reason.
+ */
+async function importChangeSets() {
+    let sources = config.importPaths.map((importPath) => path.resolve(importPath));
+    if (fs.existsSync(config.rootFolder)) {
+        fs.readdirSync(config.rootFolder)
+            .filter((fileName) => path.extname(fileName).toLowerCase() == ".zip")
+            .forEach((fileName) => sources.push(path.resolve(config.rootFolder, fileName)));
+    }
+
+    let changeSets = getUnique(sources).map((source) => ({ name: path.basename(source).replace(/\.zip$/i, ""), source: source }));
+    if (config.onlyChangeSets.length > 0) changeSets = changeSets.filter((changeSet) => isChangeSetListed(changeSet.name, config.onlyChangeSets));
+
+    log(`Importing ${changeSets.length} change sets into ${config.rootFolder}`);
+
+    //a folder and an archive with the same name, or two names that only differ by characters that aren't allowed in folder names, would be imported into the same folder.
+    let folderOwners = {};
+    let results = changeSets.map(function (changeSet) {
+        let folderName = toFolderName(changeSet.name);
+        if (folderOwners.hasOwnProperty(folderName)) {
+            let result = { name: changeSet.name, source: changeSet.source, status: "failed", reason: `Folder name "${folderName}" is already used by ${folderOwners[folderName]}` };
+            log(`Failed to import change set: "${changeSet.name}". ${result.reason}`, true, "red");
+            return result;
+        }
+        folderOwners[folderName] = changeSet.source;
+        return importChangeSet(changeSet.name, changeSet.source);
+    });
+
+    if (config.gitCommitMode != "none") await commitChangeSets(results);
+
+    writeFetchSummary(results, "importSummary", "imported");
+
+    let failedResults = results.filter((result) => result.status == "failed");
+    if (failedResults.length > 0) recordFailure(new RetrievalError(`${failedResults.length} change sets failed to import.`, { results: failedResults }));
+    return results;
+}
+
+/**
+ * @Description Imports a single change set from a folder or .zip archive into the root folder. The change set's files are taken from the folder holding the shallowest package.xml, so both archives from a retrieve
+ * (which wrap everything in a folder) and archives zipped straight from a package folder work.
+ * @Param changeSetName the name of the change set, which is also the name of the folder it is imported into.
+ * @Param source the absolute path of the folder or .zip archive to import.
+ * @Return result object with the properties name, source, status (imported, skipped or failed) and reason.
+ */
+function importChangeSet(changeSetName, source) {
+    let packageFolder = path.join(config.rootFolder, toFolderName(changeSetName));
+    if (path.resolve(packageFolder) == source) {
+        return { name: changeSetName, source: source, status: "skipped", reason: "Already in the root folder" };
+    }
+    if (config.skipExistingChangeSets && fs.existsSync(packageFolder)) {
+        log(`Change set: "${changeSetName}" already exists and skipExistingChangeSets is set to true. Skipping import`);
+        return { name: changeSetName, source: source, status: "skipped", reason: "Already imported" };
+    }
+
+    log(`Importing: "${changeSetName}" from ${source}...`);
+
+    let stagingFolder = null;
+    try {
+        if (!fs.existsSync(source)) throw new RetrievalError(`${source} does not exist`);
+
+        let sourceFolder = source;
+        if (fs.statSync(source).isFile()) {
+            stagingFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeset-"));
+            extractZip(source, stagingFolder);
+            sourceFolder = stagingFolder;
+        }
+
+        let importedFolder = findPackageFolder(sourceFolder);
+        if (!importedFolder) throw new RetrievalError(`No package.xml found in ${source}`);
+
+        fs.rmSync(packageFolder, { recursive: true, force: true });
+        fs.mkdirSync(config.rootFolder, { recursive: true });
+        copyRecursiveSync(importedFolder, packageFolder);
+        return { name: changeSetName, source: source, status: "imported", reason: "" };
+    } catch (error) {
+        log(`Failed to import change set: "${changeSetName}". ${error.message}`, true, "red");
+        return { name: changeSetName, source: source, status: "failed", reason: error.message };
+    } finally {
+        if (stagingFolder) fs.rmSync(stagingFolder, { recursive: true, force: true });
+    }
+}
+
+/**
+ * @Description Uses SFDX CLI to download all the given change sets. Up to maxConcurrentDownloads change sets are downloaded at once and downloads that fail because of a timeout or API limit are retried.
+ * Once all downloads finish, the change sets are committed to git (if configured) and a summary of each change set's status is written. If any download failed a failure is recorded.
+ * @Param changeSetName an array of strings that are changeset names.
+ * @Return array of result objects with the properties name, status (fetched, skipped or failed), reason and attempts, in the same order as the names.
+ */
+async function fetchChangeSets(changeSetNames) {
+    if (config.onlyChangeSets.length > 0) changeSetNames = changeSetNames.filter((changeSetName) => isChangeSetListed(changeSetName, config.onlyChangeSets));
+
+    let results = new Array(changeSetNames.length);
+    let nextIndex = 0;
+
+    //two names that only differ by characters that aren't allowed in folder names would be downloaded into the same folder.
+    let folderOwners = {};
+    changeSetNames.forEach(function (changeSetName, index) {
+        let folderName = toFolderName(changeSetName);
+        if (!folderOwners.hasOwnProperty(folderName)) folderOwners[folderName] = changeSetName;
+        else if (folderOwners[folderName] != changeSetName) {
+            results[index] = { name: changeSetName, status: "failed", reason: `Folder name "${folderName}" is already used by change set "${folderOwners[folderName]}"`, attempts: 0 };
+            log(`Failed to fetch change set: "${changeSetName}". ${results[index].reason}`, true, "red");
+        }
+    });
+
+    //each worker keeps taking the next change set off the list until they are all done, so no more than maxConcurrentDownloads run at once.
+    async function downloadWorker() {
+        while (nextIndex < changeSetNames.length) {
+            let index = nextIndex++;
+            if (!results[index]) results[index] = await fetchChangeSet(changeSetNames[index]);
+        }
+    }
+
+    let workers = [];
+    for (let workerNumber = 0; workerNumber < Math.max(1, config.maxConcurrentDownloads); workerNumber++) workers.push(downloadWorker());
+    await Promise.all(workers);
+
+    //commits are made one at a time after the downloads so they don't fight over the git index.
+    if (config.gitCommitMode != "none") await commitChangeSets(results);
+
+    writeFetchSummary(results, "fetchSummary");
+
+    let failedResults = results.filter((result) => result.status == "failed");
+    if (failedResults.length > 0) recordFailure(new RetrievalError(`${failedResults.length} change sets failed to download.`, { results: failedResults }));
+    return results;
+}
+
+/**
+ * @Description Downloads a single change set using the SFDX CLI, retrying with an increasing delay if it fails because of a timeout or API limit.
+ * @Param changeSetName the name of the change set to download.
+ * @Return result object with the properties name, status (fetched, skipped or failed), reason and attempts.
+ */
+async function fetchChangeSet(changeSetName) {
+    let packageFolder = path.join(config.rootFolder, toFolderName(changeSetName));
+    if (config.skipExistingChangeSets && fs.existsSync(packageFolder)) {
+        log(`Change set: "${changeSetName}" already exists and skipExistingChangeSets is set to true. Skipping download`);
+        return { name: changeSetName, status: "skipped", reason: "Already downloaded", attempts: 0 };
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        log(`Fetching: "${changeSetName}"${attempt > 1 ? ` (attempt ${attempt})` : ""}...`);
+
+        //retrieve into an empty staging folder and move the result into place, so the change set name never has to be used as a path.
+        let stagingFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeset-"));
+        let result = await runSfdxCommand([`force:mdapi:retrieve`, `-s`, `-r`, stagingFolder, `-p`, changeSetName, `--unzip`, `--zipfilename`, `${toFolderName(changeSetName)}.zip`]);
+        //the retrieved folder is the one holding the shallowest package.xml, wherever sfdx chose to unzip it.
+        let retrievedFolder = findPackageFolder(stagingFolder);
+        if (result.code == 0 && retrievedFolder) {
+            fs.rmSync(packageFolder, { recursive: true, force: true });
+            fs.mkdirSync(config.rootFolder, { recursive: true });
+            copyRecursiveSync(retrievedFolder, packageFolder);
+        }
+        fs.rmSync(stagingFolder, { recursive: true, force: true });
+
+        if (result.code == 0 && retrievedFolder) {
+            return { name: changeSetName, status: "fetched", reason: "", attempts: attempt };
+        }
+
+        let errorLines = result.output.match(/^.*ERROR.*$/gm);
+        let reason = errorLines ? errorLines[errorLines.length - 1].trim() : result.code == 0 ? "Retrieve finished but the change set folder was not created" : `sfdx exited with code ${result.code}`;
+
+        if (attempt > config.downloadRetries || !isRetryableFailure(result.output)) {
+            log(`Failed to fetch change set: "${changeSetName}". ${reason}`, true, "red");
+            return { name: changeSetName, status: "failed", reason: reason, attempts: attempt };
+        }
+
+        let delaySeconds = config.retryDelaySeconds * Math.pow(2, attempt - 1);
+        log(`Fetching change set: "${changeSetName}" failed (${reason}). Retrying in ${delaySeconds} seconds`, true, "yellow");
+        await new Promise((resolveFunc) => setTimeout(resolveFunc, delaySeconds * 1000));
+    }
+}
+
+/**
+ * @Description Checks the output of a failed SFDX command for errors that are likely to go away if the command is run again, such as timeouts, dropped connections and API limits.
+ * @Param output everything the command wrote to stdout and stderr.
+ * @Return true if the command should be retried.
+ */
+function isRetryableFailure(output) {
+    return /timed? ?out|timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|socket hang up|REQUEST_LIMIT_EXCEEDED|ConcurrentRequestLimit|API limit|rate limit|service unavailable|\b(HTTP(\/[\d.]+)?|status( code)?)[ :]*503\b/i.test(output);
+}
+
+/**
+ * @Description Prints the status of each change set download or import and writes them into a JSON file in the output folder.
+ * @Param results array of result objects generated by fetchChangeSets() or importChangeSets()
+ * @Param filename the name to use for the generated file, without extension.
+ * @Param doneStatus the status of the change sets that were copied into the root folder, 'fetched' (the default) or 'imported'.
+ */
+function writeFetchSummary(results, filename, doneStatus = "fetched") {
+    let counts = { [doneStatus]: 0, skipped: 0, failed: 0 };
+    results.forEach((result) => counts[result.status]++);
+
+    log(`Change set ${doneStatus == "imported" ? "import" : "download"} summary: ${counts[doneStatus]} ${doneStatus}, ${counts.skipped} skipped, ${counts.failed} failed`, true, counts.failed ? "red" : "green");
+    results.forEach(function (result) {
+        let color = result.status == "failed" ? "red" : result.status == doneStatus ? "green" : null;
+        log(`  ${result.status.toUpperCase().padEnd(9)}${result.name}${result.reason ? " - " + result.reason : ""}`, true, color);
+    });
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(results, undefined, 2));
+}
+
+/**
+ * @Description Commits each change set that was fetched or imported to git, one at a time so they don't fight over the git index. A change set that can't be committed (for example because git has no user
+ * identity set) is logged, noted in the reason of its result and recorded as a failure, and the others are still committed.
+ * @Param results array of result objects generated by fetchChangeSet() or importChangeSet()
+ */
+async function commitChangeSets(results) {
+    for (const result of results) {
+        if (result.status == "failed") continue;
+        try {
+            await commitChangeSet(result.name);
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            log(`Could not commit change set: "${result.name}". ${error.message}`, true, "red");
+            result.reason = `Not committed: ${error.message}`;
+            recordFailure(error);
+        }
+    }
+}
+
+/**
+ * @Description Commits the files of a single change set into the git repo the script is run in, either as a commit on the current branch or as a commit on a new branch named for the change set. Only the change set's
+ * folder (and, if convertToSource is 'changeSets', the source files converted from it) is included. Change sets that have already been committed are skipped.
+ * @Param changeSetName the name of the change set to commit.
+ */
+async function commitChangeSet(changeSetName) {
+    if (config.gitCommitMode != "commit" && config.gitCommitMode != "branch") throw new ConfigError(`Invalid gitCommitMode "${config.gitCommitMode}". Valid values are: none, commit, branch`);
+
+    let packageFolder = path.join(config.rootFolder, toFolderName(changeSetName));
+    if (!fs.existsSync(path.join(packageFolder, "package.xml"))) {
+        log(`Change set: "${changeSetName}" was not downloaded. Skipping git commit`, true, "yellow");
+        return;
+    }
+
+    //every commit made by this script has a Change-Set trailer, so finding one tells us the change set is already in the repo. --grep also matches longer names that start with this one, so the trailer values are compared exactly.
+    let trailer = `Change-Set: ${changeSetName}`;
+    let committedNames = runGit(["log", "--all", "--fixed-strings", `--grep=${trailer}`, "--format=%(trailers:key=Change-Set,valueonly)"]).split(/\r?\n/);
+    if (committedNames.some((committedName) => committedName.trim() == changeSetName)) {
+        log(`Change set: "${changeSetName}" has already been committed. Skipping git commit`);
+        return;
+    }
+
+    let paths = [packageFolder];
+    if (config.convertToSource == "changeSets" && !config.offline) {
+        (await convertFoldersToSource([toFolderName(changeSetName)])).forEach((convertedFile) => paths.push(convertedFile.file));
+    }
+
+    let message = getChangeSetCommitMessage(changeSetName, packageFolder, trailer);
+
+    if (config.gitCommitMode == "commit") {
+        runGit(["add", "-A", "--", ...paths]);
+        if (runGit(["diff", "--cached", "--name-only", "--", ...paths]).length == 0) {
+            log(`Change set: "${changeSetName}" has no changes to commit`, true, "yellow");
+            return;
+        }
+        //giving the paths to commit means anything else that happens to be staged is left alone.
+        runGit(["commit", "-F", "-", "--", ...paths], null, message);
+        log(`Committed change set: "${changeSetName}"`, true, "green");
+        return;
+    }
+
+    //build the commit in a separate index so the working folder and current branch are left untouched.
+    let branchName = "changeset/" + changeSetName.replace(/[\s~^:?*[\]\\]+|\.\.|@\{/g, "-").replace(/^[-.]+|[-.]+$|\.lock$/g, "");
+    let indexFile = path.join(os.tmpdir(), `changeLogBuilder-index-${process.pid}`);
+    let env = { ...process.env, GIT_INDEX_FILE: indexFile };
+    try {
+        runGit(["read-tree", "HEAD"], env);
+        runGit(["add", "-A", "--", ...paths], env);
+        let tree = runGit(["write-tree"], env);
+        if (tree == runGit(["rev-parse", "HEAD^{tree}"])) {
+            log(`Change set: "${changeSetName}" has no changes to commit`, true, "yellow");
+            return;
+        }
+        let commit = runGit(["commit-tree", tree, "-p", "HEAD", "-F", "-"], env, message);
+        runGit(["branch", branchName, commit]);
+        log(`Committed change set: "${changeSetName}" to branch ${branchName}`, true, "green");
+    } finally {
+        fs.rmSync(indexFile, { force: true });
+    }
+}
+
+/**
+ * @Description Builds the commit message for a change set from its name and the components in its package.xml.
+ * @Param changeSetName the name of the change set.
+ * @Param packageFolder the folder the change set was downloaded into.
+ * @Param trailer the trailer line that marks the commit as containing this change set.
+ * @Return the commit message.
+ */
+function getChangeSetCommitMessage(changeSetName, packageFolder, trailer) {
+    let message = `Add change set: ${changeSetName}\n\nComponents:\n`;
+
+    let packageData = parsePackageXMLFile(path.join(packageFolder, "package.xml"));
+    if (packageData && packageData.Package && packageData.Package.types) {
+        packageData.Package.types
+            .slice()
+            .sort((a, b) => (a.name > b.name ? 1 : -1))
+            .forEach((thisType) => (message += `- ${thisType.name}: ${(thisType.members || []).slice().sort().join(", ")}\n`));
+    }
+
+    return `${message}\n${trailer}\n`;
+}
+
+module.exports = {
+    downloadChangeSets,
+    fetchChangeSets,
+    fetchChangeSet,
+    importChangeSets,
+    importChangeSet,
+    isRetryableFailure,
+    writeFetchSummary,
+    commitChangeSets,
+    commitChangeSet,
+    getChangeSetCommitMessage,
+};
@@ -0,0 +1,176 @@
+/**
+ * @Description Small file and array helpers shared by the other modules.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * @Description Replaces any characters that are not allowed in file or folder names on Windows, macOS or Linux. Trailing dots and spaces, names reserved by Windows (CON, NUL, COM1...) and names that would
+ * refer to the current or parent folder are made safe too.
+ * @Param name the string to make safe for use as a file or folder name.
+ * @Return the name with illegal characters replaced by underscores.
+ */
+function toFolderName(name) {
+    let folderName = String(name)
+        .replace(/[<>:"\/\\|?*\u0000-\u001F]/g, "_")
+        .replace(/[. ]+$/, (trailing) => "_".repeat(trailing.length));
+    if (folderName.length == 0) return "_";
+    if (/^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i.test(folderName)) return "_" + folderName;
+    return folderName;
+}
+
+/**
+ * @Description Checks if a change set is in a list of change set names. Change sets are stored in folders named by toFolderName(), so either the name or the folder name can be given in the list.
+ * @Param changeSetName the name or folder name of the change set.
+ * @Param names array of change set names.
+ * @Return true if the change set is in the list.
+ */
+function isChangeSetListed(changeSetName, names) {
+    let folderName = toFolderName(changeSetName);
+    return names.some((name) => name == changeSetName || toFolderName(name) == folderName);
+}
+
+/**
+ * @Description Reads and parses JSON from a given file.
+ * @Param fileName the name of the file to read, parse, and return.
+ * @Return a JSON object.
+ */
+function readJSONFromFile(fileName) {
+    const changeSetsJsonString = fs.readFileSync(fileName);
+
+    const parsedJSON = JSON.parse(changeSetsJsonString);
+    return parsedJSON;
+}
+
+/**
+ * @Description Copies Copies all contents of a source folder into a destination folder.
+ * @Param src path of source folder to copy all contents from.
+ * @Param dest path of destination folder to put all copied contents into.
+ * @Return true when finished.
+ */
+function copyRecursiveSync(src, dest) {
+    var exists = fs.existsSync(src);
+    var stats = exists && fs.statSync(src);
+    var isDirectory = exists && stats.isDirectory();
+
+    if (isDirectory) {
+        if (!fs.existsSync(dest)) fs.mkdirSync(dest);
+        fs.readdirSync(src).forEach(function (childItemName) {
+            copyRecursiveSync(path.join(src, childItemName), path.join(dest, childItemName));
+        });
+    } else {
+        fs.copyFileSync(src, dest);
+    }
+
+    return true;
+}
+
+/**
+ * @Description Finds the package folder inside a folder that a change set was retrieved or extracted into, which is the folder holding the shallowest package.xml.
+ * @Param folder the folder to search.
+ * @Return the path of the package folder (which may be the given folder itself), or null if there is no package.xml.
+ */
+function findPackageFolder(folder) {
+    let manifestFile = getFilesRecursive(folder)
+        .filter((fileName) => path.basename(fileName) == "package.xml")
+        .sort((a, b) => a.split(path.sep).length - b.split(path.sep).length)[0];
+    return manifestFile ? path.join(folder, path.dirname(manifestFile)) : null;
+}
+
+/**
+ * @Description Gets every file under the given folder, including those in nested folders.
+ * @Param folder the folder to list the files of.
+ * @Return array of file paths relative to the given folder.
+ */
+function getFilesRecursive(folder) {
+    let files = [];
+    fs.readdirSync(folder).forEach(function (childItemName) {
+        let childPath = path.join(folder, childItemName);
+        if (fs.statSync(childPath).isDirectory()) {
+            getFilesRecursive(childPath).forEach((fileName) => files.push(path.join(childItemName, fileName)));
+        } else {
+            files.push(childItemName);
+        }
+    });
+    return files;
+}
+
+/**
+ * @Description Creates a single hash of the contents of the given files so components can be compared between change sets.
+ * @Param folder the folder the file paths are relative to.
+ * @Param files array of file paths relative to the folder.
+ * @Return a hex string hash of the file names and their contents.
+ */
+function hashFiles(folder, files) {
+    let hash = crypto.createHash("sha1");
+    files
+        .slice()
+        .sort()
+        .forEach(function (fileName) {
+            hash.update(fileName.split(path.sep).join("/"));
+            hash.update(fs.readFileSync(path.join(folder, fileName)));
+        });
+    return hash.digest("hex");
+}
+
+/**
+ * @Description Creates a hash of the contents of a single file.
+ * @Param filePath the path of the file to hash.
+ * @Return a hex string hash of the file contents.
+ */
+function hashFile(filePath) {
+    return crypto.createHash("sha1").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * @Description Formats a single value for a CSV file, wrapping it in quotes and escaping any quotes inside it.
+ * @Param value the value to format.
+ * @Return a string that is safe to write as a single CSV cell.
+ */
+function toCSVValue(value) {
+    return '"' + String(value == null ? "" : value).replace(/"/g, '""') + '"';
+}
+
+/**
+ * @Description Gets all the folders in the given root folder.
+ * @Param root folder to find all subdirectories of.
+ * @Return array of strings containing direct sub folder names.
+ */
+function getSubFolders(rootFolder) {
+    return fs.readdirSync(rootFolder).filter(function (file) {
+        return fs.statSync(path.join(rootFolder, file)).isDirectory();
+    });
+}
+
+/**
+ * @Description Deduplicates an array to only provide unqiue elements.
+ * @Param array an array to de-duplicate
+ * @Return Array with duplicate values removed.
+ */
+function getUnique(array) {
+    var uniqueArray = [];
+
+    // Loop through array values
+    for (let i = 0; i < array.length; i++) {
+        if (uniqueArray.indexOf(array[i]) === -1) {
+            uniqueArray.push(array[i]);
+        }
+    }
+    return uniqueArray;
+}
+
+module.exports = {
+    toFolderName,
+    isChangeSetListed,
+    readJSONFromFile,
+    copyRecursiveSync,
+    getFilesRecursive,
+    findPackageFolder,
+    hashFiles,
+    hashFile,
+    toCSVValue,
+    getSubFolders,
+    getUnique,
+};
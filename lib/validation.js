@@ -0,0 +1,151 @@
+/**
+ * @Description Checks a package folder against its package.xml before it is deployed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const xml2js = require("xml2js");
+const parseString = xml2js.parseString;
+const { getFilesRecursive } = require("./utils");
+const { config } = require("./config");
+const { log } = require("./logger");
+const { metadataTypes, parsePackageXMLFile, getComponentFiles, getComponentPaths } = require("./manifest");
+const { ValidationError, recordFailure } = require("./errors");
+
+/**
+ * @Description Cross checks a package folder against its package.xml before it is deployed. Finds members whose files (including '-meta.xml' companions) are missing, child members (such as CustomField)
+ * that aren't in their parent's file, files that don't belong to any member and XML files that can't be parsed. Members and files of metadata types that aren't in the metadataTypes registry can't be
+ * checked and are listed separately.
+ * @Param packageFolder the package folder to validate, which must contain a package.xml.
+ * @Return object with the properties valid (false if any files or child members are missing or any files are malformed), missingFiles, missingMembers, orphanFiles, malformedFiles, uncheckedMembers and uncheckedFiles.
+ */
+function validatePackageFolder(packageFolder) {
+    let result = { valid: true, missingFiles: [], missingMembers: [], orphanFiles: [], malformedFiles: [], uncheckedMembers: [], uncheckedFiles: [] };
+    const toKey = (fileName) => fileName.split(path.sep).join("/");
+    let childNames = {};
+
+    log(`Validating ${packageFolder} against its package.xml`);
+
+    let manifest = parsePackageXMLFile(path.join(packageFolder, "package.xml"));
+    let claimedFiles = new Set(["package.xml", "destructiveChanges.xml", "destructiveChangesPre.xml", "destructiveChangesPost.xml"]);
+    let claimedFolders = [];
+
+    for (const thisType of manifest && manifest.Package && manifest.Package.types ? manifest.Package.types : []) {
+        let typeName = String(thisType.name);
+        for (const member of thisType.members || []) {
+            let typeInfo = metadataTypes[typeName];
+            if (!typeInfo) {
+                result.uncheckedMembers.push({ type: typeName, member: member });
+                continue;
+            }
+
+            //a wildcard claims everything in the type's folder.
+            if (member == "*") {
+                claimedFolders.push((typeInfo.parent ? metadataTypes[typeInfo.parent] : typeInfo).directoryName + "/");
+                continue;
+            }
+
+            let componentPaths = getComponentPaths(typeName, member);
+            let existingFiles = getComponentFiles(packageFolder, typeName, member);
+            existingFiles.forEach((fileName) => claimedFiles.add(toKey(fileName)));
+
+            let missingFiles = componentPaths.bundleFolder ? (existingFiles.length == 0 ? [componentPaths.bundleFolder] : []) : componentPaths.files.filter((fileName) => existingFiles.indexOf(fileName) == -1);
+            missingFiles.forEach((fileName) => result.missingFiles.push({ type: typeName, member: member, file: toKey(fileName) }));
+
+            //the parent's file existing isn't enough for a child, since a merge that kept another change set's copy of the file can leave the child out of it.
+            if (typeInfo.parent && missingFiles.length == 0) {
+                let parentFile = componentPaths.files[0];
+                let childName = typeInfo.parentMember ? member : member.substring(member.indexOf(".") + 1);
+                if (!(parentFile in childNames)) childNames[parentFile] = readChildNames(path.join(packageFolder, parentFile));
+                if (childNames[parentFile] && (childNames[parentFile][typeInfo.element] || []).indexOf(childName) == -1) {
+                    result.missingMembers.push({ type: typeName, member: member, file: toKey(parentFile) });
+                }
+            }
+        }
+    }
+
+    let knownFolders = Object.values(metadataTypes)
+        .filter((typeInfo) => typeInfo.directoryName)
+        .map((typeInfo) => typeInfo.directoryName);
+
+    for (const fileName of getFilesRecursive(packageFolder).map(toKey)) {
+        if (!claimedFiles.has(fileName) && !claimedFolders.some((folder) => fileName.startsWith(folder))) {
+            if (knownFolders.indexOf(fileName.split("/")[0]) > -1) result.orphanFiles.push(fileName);
+            else result.uncheckedFiles.push(fileName);
+        }
+
+        let content = fs.readFileSync(path.join(packageFolder, fileName), "utf8");
+        if (fileName.endsWith(".xml") || content.trimStart().startsWith("<?xml")) {
+            parseString(content, function (err) {
+                if (err) result.malformedFiles.push({ file: fileName, error: err.message.replace(/\s+/g, " ").trim() });
+            });
+        }
+    }
+
+    result.valid = result.missingFiles.length == 0 && result.missingMembers.length == 0 && result.malformedFiles.length == 0;
+    return result;
+}
+
+/**
+ * @Description Reads the names of the child components stored in a parent component's file, such as the fields of a CustomObject.
+ * @Param filePath the path of the parent component's file.
+ * @Return object with an array of the fullName of each child for every child element of the file (such as fields or recordTypes), or null if the file can't be parsed, which is reported as malformed instead.
+ */
+function readChildNames(filePath) {
+    let childNames = null;
+    parseString(fs.readFileSync(filePath, "utf8"), function (err, parsed) {
+        if (err || !parsed) return;
+        childNames = {};
+        let component = Object.values(parsed)[0] || {};
+        for (const [element, children] of Object.entries(component)) {
+            if (Array.isArray(children)) childNames[element] = children.map((child) => String((child && child.fullName) || ""));
+        }
+    });
+    return childNames;
+}
+
+/**
+ * @Description Prints the results of validating a package folder and writes them into a JSON file in the output folder. If the package is not valid a failure is recorded.
+ * @Param result the result object generated by validatePackageFolder()
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeValidationReport(result, filename) {
+    result.missingFiles.forEach((missing) => log(`Missing file ${missing.file} for ${missing.type} ${missing.member}`, true, "red"));
+    result.missingMembers.forEach((missing) => log(`${missing.type} ${missing.member} is not in ${missing.file}`, true, "red"));
+    result.malformedFiles.forEach((malformed) => log(`Malformed XML in ${malformed.file}: ${malformed.error}`, true, "red"));
+    result.orphanFiles.forEach((fileName) => log(`File ${fileName} is not in the package.xml and will not be deployed`, true, "yellow"));
+    if (result.uncheckedMembers.length > 0) log(`${result.uncheckedMembers.length} members of unknown metadata types could not be checked`, true, "yellow");
+
+    log(
+        `Validation ${result.valid ? "passed" : "failed"}. ${result.missingFiles.length} missing files, ${result.missingMembers.length} missing child members, ${result.malformedFiles.length} malformed files, ${result.orphanFiles.length} orphan files.`,
+        true,
+        result.valid ? "green" : "red"
+    );
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(result, undefined, 2));
+
+    if (!result.valid) {
+        recordFailure(
+            new ValidationError(`Package failed validation with ${result.missingFiles.length} missing files, ${result.missingMembers.length} missing child members and ${result.malformedFiles.length} malformed files.`, {
+                result: result,
+            })
+        );
+    }
+}
+
+/**
+ * @Description Validates the merged package folder against the merged package.xml and writes the results.
+ * @Return true if the merged package is valid.
+ */
+function validateMergedPackage() {
+    let result = validatePackageFolder(path.join(config.rootFolder, config.mergedPackageFolder));
+    writeValidationReport(result, "validation");
+    return result.valid;
+}
+
+module.exports = {
+    validatePackageFolder,
+    writeValidationReport,
+    validateMergedPackage,
+};
@@ -0,0 +1,243 @@
+/**
+ * @Description Watch mode. Keeps checking the org for new change sets, downloads any it finds, regenerates the outputs and runs a hook to say what was new.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { toFolderName, getUnique } = require("./utils");
+const { config, requireOnline, readChangeSetNames } = require("./config");
+const { log } = require("./logger");
+const { runCommand } = require("./command");
+const { listChangeSets, writeLastRunFile } = require("./discovery");
+const { fetchChangeSets } = require("./retrieval");
+const { ConfigError, HookError, recordFailure, clearFailures } = require("./errors");
+
+const watchState = { stopped: false, wake: null };
+
+/**
+ * @Description Checks for new change sets every watchIntervalMinutes until stopWatching() is called. Each check runs change set discovery, downloads the change sets that aren't in the change set JSON file or
+ * the root folder yet, merges everything to regenerate the outputs and runs the watch hook with a summary. A check that fails is logged and the next one runs as usual. Change sets that fail to download are tried again on the next check.
+ * @Param merge the function that merges the change sets and writes the outputs, which should return the same object as mergeChangeSets().
+ */
+async function watchChangeSets(merge) {
+    requireOnline("Watch mode");
+    if (config.interactive) throw new ConfigError("interactive can't be used in watch mode since nobody is there to answer the prompts.");
+
+    watchState.stopped = false;
+    log(`Watching for new change sets every ${config.watchIntervalMinutes} minutes. Press Ctrl+C to stop.`, true, "green");
+
+    let pendingNames = [];
+    while (!watchState.stopped) {
+        try {
+            pendingNames = await checkForNewChangeSets(pendingNames, merge);
+        } catch (error) {
+            //a config problem will fail every check, so there's no point carrying on.
+            if (error instanceof ConfigError) throw error;
+            log(`Checking for new change sets failed: ${error.message}`, true, "red");
+            if (error.stack) log(error.stack, false);
+        }
+
+        if (!watchState.stopped) {
+            log(`Next check at ${new Date(Date.now() + config.watchIntervalMinutes * 60 * 1000).toLocaleString()}`);
+            await waitForNextCheck(config.watchIntervalMinutes * 60 * 1000);
+        }
+    }
+
+    log("Stopped watching for new change sets", true, "yellow");
+}
+
+/**
+ * @Description Runs a single check of watch mode.
+ * @Param pendingNames names of change sets that failed to download on the previous check and should be tried again.
+ * @Param merge the function that merges the change sets and writes the outputs.
+ * @Return the names of the change sets that failed to download, to try again on the next check.
+ */
+async function checkForNewChangeSets(pendingNames, merge) {
+    let startedDate = new Date();
+    clearFailures();
+    log(`Checking for new change sets at ${startedDate.toLocaleString()}`, true);
+
+    //anything already in the names file was found by an earlier check or listed by hand, so only names discovered since then are new.
+    let knownNames = fs.existsSync(config.changesetJSONFile) ? readChangeSetNames() : [];
+    await listChangeSets();
+    let discoveredNames = readChangeSetNames();
+
+    let newNames = getUnique([...pendingNames, ...findNewChangeSets(discoveredNames, knownNames)]);
+
+    if (newNames.length == 0) {
+        writeLastRunFile(startedDate);
+        log("No new change sets found", true);
+        return [];
+    }
+
+    log(`Found ${newNames.length} new change sets: ${newNames.join(", ")}`, true, "green");
+    let results = await fetchChangeSets(newNames);
+    let fetchedNames = results.filter((result) => result.status == "fetched").map((result) => result.name);
+
+    let failedNames = results.filter((result) => result.status == "failed").map((result) => result.name);
+    //as with a normal fetch, failed change sets were uploaded before this check started and sinceLastRun would skip them from now on.
+    if (failedNames.length == 0) writeLastRunFile(startedDate);
+
+    //the new change sets are in the names file and root folder now, so later checks won't see them as new. A merge that fails (such as on a file collision) still has to be reported.
+    let mergeResult = null;
+    let mergeError = null;
+    if (fetchedNames.length > 0) {
+        try {
+            mergeResult = await merge();
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            mergeError = error;
+            log(`Merging the new change sets failed: ${error.message}`, true, "red");
+            if (error.stack) log(error.stack, false);
+            recordFailure(error);
+        }
+    }
+
+    let summary = buildWatchSummary(startedDate, newNames, results, mergeResult, mergeError);
+    writeWatchSummary(summary, "watchSummary");
+    await runWatchHook(summary, "watchSummary");
+
+    return failedNames;
+}
+
+/**
+ * @Description Finds the discovered change sets that are new, meaning they weren't in the change set JSON file before discovery ran and haven't been downloaded into the root folder.
+ * @Param discoveredNames the names of the change sets found by discovery.
+ * @Param knownNames the names that were in the change set JSON file before discovery ran.
+ * @Return array of the new change set names.
+ */
+function findNewChangeSets(discoveredNames, knownNames) {
+    return discoveredNames.filter((changeSetName) => knownNames.indexOf(changeSetName) == -1 && !fs.existsSync(path.join(config.rootFolder, toFolderName(changeSetName))));
+}
+
+/**
+ * @Description Builds the summary of a check that found new change sets, which is written to the output folder and given to the watch hook.
+ * @Param startedDate when the check started.
+ * @Param newNames the names of the new change sets.
+ * @Param results the result objects generated by fetchChangeSets()
+ * @Param mergeResult the object returned by the merge, or null if nothing was downloaded or the merge failed.
+ * @Param mergeError optional error thrown by the merge, in which case the outputs were not regenerated.
+ * @Return summary object.
+ */
+function buildWatchSummary(startedDate, newNames, results, mergeResult, mergeError) {
+    const toKeys = (components) => components.map((component) => `${component.type}:${component.member}`);
+    let changes = mergeResult && mergeResult.changes;
+
+    return {
+        checkedDate: startedDate.toISOString(),
+        org: config.username || "",
+        newChangeSets: newNames,
+        fetched: results.filter((result) => result.status == "fetched").map((result) => result.name),
+        skipped: results.filter((result) => result.status == "skipped").map((result) => result.name),
+        failed: results.filter((result) => result.status == "failed").map((result) => ({ name: result.name, reason: result.reason })),
+        mergeError: mergeError ? mergeError.message : null,
+        changes: changes ? { added: toKeys(changes.added), removed: toKeys(changes.removed), modified: toKeys(changes.modified) } : null,
+        outputFolder: path.resolve(config.outputFolder),
+    };
+}
+
+/**
+ * @Description Prints the summary of a check and writes it into a JSON file in the output folder.
+ * @Param summary the summary object generated by buildWatchSummary()
+ * @Param filename the name to use for the generated file, without extension.
+ */
+function writeWatchSummary(summary, filename) {
+    log(
+        `Watch summary: ${summary.newChangeSets.length} new change sets, ${summary.fetched.length} fetched, ${summary.failed.length} failed.` +
+            (summary.changes ? ` ${summary.changes.added.length} components added, ${summary.changes.removed.length} removed, ${summary.changes.modified.length} modified.` : ""),
+        true,
+        summary.failed.length || summary.mergeError ? "red" : "green"
+    );
+    if (summary.mergeError) log(`The outputs were not regenerated because the merge failed: ${summary.mergeError}`, true, "red");
+
+    if (!fs.existsSync(config.outputFolder)) fs.mkdirSync(config.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(config.outputFolder, `${filename}.json`), JSON.stringify(summary, undefined, 2));
+}
+
+/**
+ * @Description Runs the watch hook with the summary of a check. A watchHook starting with http:// or https:// is a webhook that the summary is POSTed to as JSON. Anything else is a shell command, which gets
+ * the summary as JSON in the CHANGE_SET_SUMMARY environment variable and the path of the summary file in CHANGE_SET_SUMMARY_FILE. If the hook fails a failure is recorded.
+ * @Param summary the summary object generated by buildWatchSummary()
+ * @Param filename the name of the summary file in the output folder, without extension.
+ */
+async function runWatchHook(summary, filename) {
+    if (!config.watchHook) return;
+
+    let body = JSON.stringify(summary, undefined, 2);
+    let error = null;
+    if (/^https?:\/\//i.test(config.watchHook)) {
+        log(`Posting watch summary to ${config.watchHook}`);
+        try {
+            let statusCode = await postJson(config.watchHook, body);
+            if (statusCode >= 300) error = `returned HTTP status ${statusCode}`;
+        } catch (requestError) {
+            error = requestError.message;
+        }
+    } else {
+        log(`Running watch hook: ${config.watchHook}`);
+        let env = { ...process.env, CHANGE_SET_SUMMARY: body, CHANGE_SET_SUMMARY_FILE: path.resolve(config.outputFolder, `${filename}.json`) };
+        let result = await runCommand(config.watchHook, [], env, true);
+        if (result.code != 0) error = `exited with code ${result.code}`;
+    }
+
+    if (error) {
+        log(`Watch hook ${config.watchHook} failed: ${error}`, true, "red");
+        recordFailure(new HookError(`Watch hook ${config.watchHook} failed: ${error}`, { summary: summary }));
+    } else log("Watch hook finished", true, "green");
+}
+
+/**
+ * @Description POSTs a JSON body to a URL.
+ * @Param url the http:// or https:// URL to post to.
+ * @Param body the JSON string to send.
+ * @Return javascript promise object that resolves to the HTTP status code of the response.
+ */
+function postJson(url, body) {
+    let client = url.toLowerCase().startsWith("https:") ? https : http;
+    return new Promise((resolveFunc, rejectFunc) => {
+        let request = client.request(url, { method: "POST", headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) }, timeout: 30000 }, (response) => {
+            //the response body isn't used but has to be read for the request to finish.
+            response.resume();
+            response.on("end", () => resolveFunc(response.statusCode));
+        });
+        request.on("timeout", () => request.destroy(new Error("no response after 30 seconds")));
+        request.on("error", rejectFunc);
+        request.end(body);
+    });
+}
+
+/**
+ * @Description Waits until the next check is due, or until stopWatching() is called.
+ * @Param milliseconds how long to wait.
+ * @Return javascript promise object that resolves when the wait is over.
+ */
+function waitForNextCheck(milliseconds) {
+    return new Promise((resolveFunc) => {
+        let timer = setTimeout(resolveFunc, milliseconds);
+        watchState.wake = function () {
+            clearTimeout(timer);
+            resolveFunc();
+        };
+    });
+}
+
+/**
+ * @Description Stops watch mode. A check that is already running is allowed to finish first.
+ */
+function stopWatching() {
+    watchState.stopped = true;
+    if (watchState.wake) watchState.wake();
+}
+
+module.exports = {
+    watchChangeSets,
+    checkForNewChangeSets,
+    findNewChangeSets,
+    buildWatchSummary,
+    writeWatchSummary,
+    runWatchHook,
+    postJson,
+    stopWatching,
+};
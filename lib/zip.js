@@ -0,0 +1,101 @@
+/**
+ * @Description Extracts zip archives, such as those created by sfdx force:mdapi:retrieve, using only node's zlib so no extra dependency or unzip tool is needed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { RetrievalError } = require("./errors");
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * @Description Gets the entries of a zip archive from its central directory. Zip64 archives (over 4GB or 65535 entries) and encrypted entries aren't supported.
+ * @Param data buffer holding the whole zip archive.
+ * @Param zipFile the path of the archive, used in error messages.
+ * @Return array of objects with the properties name (always using / as the separator), method, flags, compressedSize, size and localHeaderOffset.
+ */
+function readZipEntries(data, zipFile) {
+    //the end of central directory record is at the very end of the archive, followed only by a comment of up to 65535 bytes.
+    let endOffset = -1;
+    for (let offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xffff); offset--) {
+        if (data.readUInt32LE(offset) == END_OF_CENTRAL_DIRECTORY) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset == -1) throw new RetrievalError(`${zipFile} is not a zip archive.`);
+
+    let entryCount = data.readUInt16LE(endOffset + 10);
+    let offset = data.readUInt32LE(endOffset + 16);
+    if (entryCount == 0xffff || offset == 0xffffffff) throw new RetrievalError(`${zipFile} is a Zip64 archive, which isn't supported. Unzip it and import the folder instead.`);
+
+    let entries = [];
+    for (let index = 0; index < entryCount; index++) {
+        if (offset + 46 > data.length || data.readUInt32LE(offset) != CENTRAL_DIRECTORY_ENTRY) throw new RetrievalError(`${zipFile} is damaged. Its central directory could not be read.`);
+
+        let nameLength = data.readUInt16LE(offset + 28);
+        entries.push({
+            name: data.toString("utf8", offset + 46, offset + 46 + nameLength).replace(/\\/g, "/"),
+            flags: data.readUInt16LE(offset + 8),
+            method: data.readUInt16LE(offset + 10),
+            compressedSize: data.readUInt32LE(offset + 20),
+            size: data.readUInt32LE(offset + 24),
+            localHeaderOffset: data.readUInt32LE(offset + 42),
+        });
+        offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+/**
+ * @Description Extracts every file in a zip archive into a folder. Only stored and deflated entries are supported, which covers archives made by Salesforce and by the zip tools built into Windows and macOS.
+ * @Param zipFile the path of the zip archive.
+ * @Param targetFolder the folder to extract into. It is created if it doesn't exist.
+ * @Return array of the extracted file paths, relative to the target folder.
+ */
+function extractZip(zipFile, targetFolder) {
+    let data = fs.readFileSync(zipFile);
+    let rootFolder = path.resolve(targetFolder);
+    let extractedFiles = [];
+
+    fs.mkdirSync(rootFolder, { recursive: true });
+
+    for (const entry of readZipEntries(data, zipFile)) {
+        //an entry named ../something would be written outside the target folder.
+        let target = path.resolve(rootFolder, entry.name);
+        if (!target.startsWith(rootFolder + path.sep)) throw new RetrievalError(`${zipFile} contains the unsafe path "${entry.name}".`);
+
+        if (entry.name.endsWith("/")) {
+            fs.mkdirSync(target, { recursive: true });
+            continue;
+        }
+        if (entry.flags & 0x1) throw new RetrievalError(`${zipFile} is encrypted, which isn't supported.`);
+
+        //the local header can have a different extra field length to the central directory, so the data offset has to be read from it.
+        let headerOffset = entry.localHeaderOffset;
+        if (data.readUInt32LE(headerOffset) != LOCAL_FILE_HEADER) throw new RetrievalError(`${zipFile} is damaged. The entry "${entry.name}" could not be found.`);
+        let dataOffset = headerOffset + 30 + data.readUInt16LE(headerOffset + 26) + data.readUInt16LE(headerOffset + 28);
+        let compressedData = data.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+        let content;
+        if (entry.method == 0) content = compressedData;
+        else if (entry.method == 8) content = zlib.inflateRawSync(compressedData);
+        else throw new RetrievalError(`${zipFile} uses compression method ${entry.method} for "${entry.name}", which isn't supported. Only stored and deflated entries can be extracted.`);
+
+        if (content.length != entry.size) throw new RetrievalError(`${zipFile} is damaged. "${entry.name}" should be ${entry.size} bytes but is ${content.length}.`);
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+        extractedFiles.push(path.relative(rootFolder, target));
+    }
+
+    return extractedFiles;
+}
+
+module.exports = {
+    readZipEntries,
+    extractZip,
+};
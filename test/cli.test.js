@@ -0,0 +1,77 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { commands, parseArguments, coerceArgumentValue, getUsage } = require("../changeLogBuilder");
+
+describe("cli.parseArguments", () => {
+    it("runs everything with config.json when no arguments are given", () => {
+        assert.deepStrictEqual(parseArguments([]), { command: "run", configFile: "config.json", overrides: {}, help: false });
+    });
+
+    it("reads the command, config file and config overrides in either flag form", () => {
+        assert.deepStrictEqual(parseArguments(["merge", "--config", "other.json", "--rootFolder", "otherPackages", "--mergeOrder=date", "--maxConcurrentDownloads", "5"]), {
+            command: "merge",
+            configFile: "other.json",
+            overrides: { rootFolder: "otherPackages", mergeOrder: "date", maxConcurrentDownloads: 5 },
+            help: false,
+        });
+    });
+
+    it("supports the true/false forms of boolean flags", () => {
+        assert.deepStrictEqual(parseArguments(["--offline", "--no-createSnapshot", "--interactive", "false", "--skipExistingChangeSets=false"]).overrides, {
+            offline: true,
+            createSnapshot: false,
+            interactive: false,
+            skipExistingChangeSets: false,
+        });
+        //a boolean flag followed by something other than true or false doesn't take it as its value.
+        assert.deepStrictEqual(parseArguments(["--offline", "import"]), { command: "import", configFile: "config.json", overrides: { offline: true }, help: false });
+    });
+
+    it("expands the shorthand flags", () => {
+        assert.deepStrictEqual(parseArguments(["--only", "Change Set 1, Change Set 2", "--no-merged", "--verbose"]).overrides, {
+            onlyChangeSets: ["Change Set 1", "Change Set 2"],
+            createMergedPackage: false,
+            logLevel: "debug",
+        });
+        assert.strictEqual(parseArguments(["--quiet"]).overrides.logLevel, "warn");
+        assert.strictEqual(parseArguments(["deploy", "--help"]).help, true);
+    });
+
+    it("rejects unknown commands and flags, missing values and misused negations", () => {
+        assert.throws(() => parseArguments(["publish"]), /Unknown command "publish"/);
+        assert.throws(() => parseArguments(["merge", "fetch"]), /Only one command can be given/);
+        assert.throws(() => parseArguments(["--rootfolder", "x"]), /Unknown option --rootfolder\. Did you mean --rootFolder\?/);
+        assert.throws(() => parseArguments(["--rootFolder"]), /--rootFolder requires a value/);
+        assert.throws(() => parseArguments(["--rootFolder", "--offline"]), /--rootFolder requires a value/);
+        assert.throws(() => parseArguments(["--config"]), /--config requires the path of a config file/);
+        assert.throws(() => parseArguments(["--no-rootFolder"]), /not a true\/false option/);
+        assert.throws(() => parseArguments(["--no-offline=true"]), /does not take a value/);
+    });
+});
+
+describe("cli.coerceArgumentValue", () => {
+    it("converts values to the type of the config property", () => {
+        assert.strictEqual(coerceArgumentValue("offline", "offline", "true"), true);
+        assert.strictEqual(coerceArgumentValue("deployWaitMinutes", "deployWaitMinutes", "0"), 0);
+        assert.deepStrictEqual(coerceArgumentValue("importPaths", "importPaths", " a.zip, ,b "), ["a.zip", "b"]);
+        assert.deepStrictEqual(coerceArgumentValue("mergeOverrides", "mergeOverrides", '{"classes/A.cls": "CS 1"}'), { "classes/A.cls": "CS 1" });
+        assert.strictEqual(coerceArgumentValue("username", "username", "me@example.com"), "me@example.com");
+    });
+
+    it("rejects values that can't be converted", () => {
+        assert.throws(() => coerceArgumentValue("offline", "offline", "yes"), /expects true or false/);
+        assert.throws(() => coerceArgumentValue("deployWaitMinutes", "deployWaitMinutes", " "), /expects a number/);
+        assert.throws(() => coerceArgumentValue("deployWaitMinutes", "deployWaitMinutes", "ten"), /expects a number/);
+        assert.throws(() => coerceArgumentValue("mergeOverrides", "mergeOverrides", "{classes"), /could not be parsed/);
+        assert.throws(() => coerceArgumentValue("mergeOverrides", "mergeOverrides", '["CS 1"]'), /expects a JSON object/);
+    });
+});
+
+describe("cli.getUsage", () => {
+    it("lines up the command descriptions with a gap after the longest command name", () => {
+        let lines = getUsage().split("\r\n");
+        let descriptionColumns = Object.entries(commands).map(([name, command]) => lines.find((line) => line.startsWith(`  ${name} `)).indexOf(command.description));
+        let longestName = Math.max(...Object.keys(commands).map((name) => name.length));
+        assert.deepStrictEqual(new Set(descriptionColumns), new Set([2 + longestName + 2]));
+    });
+});
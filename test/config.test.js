@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defaultConfig, useConfig, validateConfig, loadConfig, readChangeSetNames } = require("../lib/config");
+const { ConfigError } = require("../lib/errors");
+
+describe("config.validateConfig", () => {
+    before(() => useConfig({ ...defaultConfig, logLevel: "error" }));
+
+    it("accepts the default config", () => {
+        assert.deepStrictEqual(validateConfig({ ...defaultConfig }), []);
+    });
+
+    it("suggests the property an unknown one was probably meant to be", () => {
+        assert.deepStrictEqual(validateConfig({ rootfolder: "packages" }), ['Unknown property "rootfolder". Did you mean "rootFolder"?']);
+        assert.deepStrictEqual(validateConfig({ mergedPackage: true }), ['Unknown property "mergedPackage". Did you mean "mergedPackageFolder"?']);
+        assert.deepStrictEqual(validateConfig({ somethingElse: true }), ['Unknown property "somethingElse".']);
+    });
+
+    it("rejects values of the wrong type", () => {
+        let errors = validateConfig({ createMergedPackage: "yes", maxConcurrentDownloads: "3" });
+        assert.deepStrictEqual(errors, ['"createMergedPackage" must be of type boolean but is string.', '"maxConcurrentDownloads" must be of type number but is string.']);
+    });
+
+    it("allows the extra types listed in the schema", () => {
+        assert.deepStrictEqual(validateConfig({ username: ["a", "b"], forcePackageVersion: null }), []);
+        assert.deepStrictEqual(validateConfig({ forcePackageVersion: "52.0" }), []);
+    });
+
+    it("rejects values that aren't one of the allowed options", () => {
+        let errors = validateConfig({ mergeOrder: "size" });
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /"mergeOrder" is "size" but must be one of: name, date, changeSetList, priority\./);
+    });
+
+    it("rejects numbers below the minimum", () => {
+        assert.deepStrictEqual(validateConfig({ maxConcurrentDownloads: 0 }), ['"maxConcurrentDownloads" must be at least 1 but is 0.']);
+        assert.deepStrictEqual(validateConfig({ downloadRetries: 0 }), []);
+    });
+
+    it("requires lists to only contain strings", () => {
+        assert.deepStrictEqual(validateConfig({ onlyChangeSets: ["a", 1] }), ['"onlyChangeSets" must be a list of strings.']);
+    });
+
+    it("allows a module path for changeSetDiscovery", () => {
+        assert.deepStrictEqual(validateConfig({ changeSetDiscovery: "./myDiscovery.js" }), []);
+    });
+});
+
+describe("config.loadConfig", () => {
+    let folder;
+    before(() => (folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"))));
+    after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    it("throws a ConfigError for a missing file", () => {
+        assert.throws(() => loadConfig(path.join(folder, "missing.json")), (err) => err instanceof ConfigError && /does not exist/.test(err.message));
+    });
+
+    it("throws a ConfigError for a file that isn't JSON", () => {
+        fs.writeFileSync(path.join(folder, "broken.json"), "{ rootFolder: ");
+        assert.throws(() => loadConfig(path.join(folder, "broken.json")), (err) => err instanceof ConfigError && /could not be read/.test(err.message));
+    });
+
+    it("lists every invalid property in the error details", () => {
+        fs.writeFileSync(path.join(folder, "invalid.json"), JSON.stringify({ rootFolder: 1, mergeOrder: "size" }));
+        assert.throws(
+            () => loadConfig(path.join(folder, "invalid.json")),
+            (err) => err instanceof ConfigError && err.details.errors.length == 2
+        );
+    });
+
+    it("returns the properties of a valid file", () => {
+        fs.writeFileSync(path.join(folder, "valid.json"), JSON.stringify({ rootFolder: "other" }));
+        assert.deepStrictEqual(loadConfig(path.join(folder, "valid.json")), { rootFolder: "other" });
+    });
+});
+
+describe("config.readChangeSetNames", () => {
+    let folder;
+    before(() => (folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"))));
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    const useNamesFile = (content) => {
+        let fileName = path.join(folder, "changeSetNames.json");
+        if (content == null) fs.rmSync(fileName, { force: true });
+        else fs.writeFileSync(fileName, content);
+        useConfig({ ...defaultConfig, logLevel: "error", changesetJSONFile: fileName });
+    };
+
+    it("throws a ConfigError naming the file when it is missing, isn't JSON or isn't a list of names", () => {
+        for (const [content, message] of [
+            [null, /changeSetNames\.json \(set in changesetJSONFile\) does not exist/],
+            ['["Change Set 1",', /changeSetNames\.json \(set in changesetJSONFile\) could not be read/],
+            ['{"name": "Change Set 1"}', /must contain a JSON array of change set names/],
+            ['["Change Set 1", 2]', /must contain a JSON array of change set names/],
+        ]) {
+            useNamesFile(content);
+            assert.throws(readChangeSetNames, (err) => err instanceof ConfigError && message.test(err.message));
+        }
+    });
+
+    it("returns the names in the file", () => {
+        useNamesFile('["Change Set 1", "Change Set 2"]');
+        assert.deepStrictEqual(readChangeSetNames(), ["Change Set 1", "Change Set 2"]);
+    });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { deployMergedPackage } = require("../lib/deployment");
+const { DeploymentError, getFailures, clearFailures } = require("../lib/errors");
+
+const deployId = "0Af5g00000AbCdECAZ";
+const reportArguments = ["force:mdapi:deploy:report", "-u", "test@example.com", "-i", deployId, "-w", "0", "--verbose", "--json"];
+
+//responses in the shape sfdx returns them with --json. The metadata API sends numbers and booleans as strings in some places, and single objects instead of arrays when there is only one entry.
+const started = { status: 0, result: { id: deployId, state: "Queued", status: "Queued", done: false } };
+const inProgress = {
+    status: 0,
+    result: { id: deployId, status: "InProgress", done: false, numberComponentsDeployed: "4", numberComponentsTotal: "12", numberTestsCompleted: "0", numberTestsTotal: "3" },
+};
+const succeeded = {
+    status: 0,
+    result: {
+        id: deployId,
+        status: "Succeeded",
+        done: true,
+        success: true,
+        numberComponentsDeployed: "12",
+        numberComponentErrors: "0",
+        numberTestsCompleted: "3",
+        numberTestErrors: "0",
+        details: {
+            componentSuccesses: [{ componentType: "ApexClass", fullName: "AccountService" }],
+            runTestResult: { numTestsRun: "3", codeCoverage: { name: "AccountService", type: "Class", numLocations: "20", numLocationsNotCovered: "5" } },
+        },
+    },
+};
+const failed = {
+    status: 1,
+    name: "mdapiDeployFailed",
+    message: "The metadata deploy operation failed.",
+    result: {
+        id: deployId,
+        status: "Failed",
+        done: "true",
+        success: "false",
+        numberComponentsDeployed: "11",
+        numberComponentErrors: "1",
+        numberTestsCompleted: "0",
+        numberTestErrors: "0",
+        details: {
+            componentFailures: { componentType: "ApexClass", fullName: "Broken", fileName: "classes/Broken.cls", lineNumber: "3", problem: "Unexpected token '}'." },
+            runTestResult: { numTestsRun: "0", codeCoverage: [] },
+        },
+    },
+};
+
+describe("deployment.deployMergedPackage", () => {
+    let folder;
+    let originalPath = process.env.PATH;
+
+    //puts the stub sfdx in test/fixtures/bin first on the PATH, so no org or SFDX CLI is needed.
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        process.env.PATH = path.join(__dirname, "fixtures", "bin") + path.delimiter + originalPath;
+        process.env.STUB_SFDX_FOLDER = folder;
+    });
+
+    after(() => {
+        process.env.PATH = originalPath;
+        delete process.env.STUB_SFDX_FOLDER;
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        useConfig({
+            ...defaultConfig,
+            logLevel: "error",
+            rootFolder: folder,
+            outputFolder: path.join(folder, "results"),
+            username: "test@example.com",
+            validateMergedPackage: false,
+            deployPollSeconds: 0,
+        });
+        clearFailures();
+        fs.rmSync(path.join(folder, "calls.log"), { force: true });
+        fs.rmSync(path.join(folder, "results"), { recursive: true, force: true });
+    });
+
+    const useResponses = (reports) => fs.writeFileSync(path.join(folder, "responses.json"), JSON.stringify({ deploy: started, reports: reports }));
+    const readCalls = () => fs.readFileSync(path.join(folder, "calls.log"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    const readDeployResult = () => JSON.parse(fs.readFileSync(path.join(folder, "results", "deployResult.json"), "utf8"));
+
+    it("validates with the specified tests and polls the deployment until it is done", async () => {
+        Object.assign(config, { deployMergedPackage: "validate", deployTestLevel: "RunSpecifiedTests", deployTests: ["AccountServiceTest", "ContactServiceTest"] });
+        useResponses([inProgress, inProgress, succeeded]);
+
+        assert.strictEqual(await deployMergedPackage(), true);
+        assert.deepStrictEqual(readCalls(), [
+            [
+                "force:mdapi:deploy",
+                "-u",
+                "test@example.com",
+                "-d",
+                path.join(folder, defaultConfig.mergedPackageFolder),
+                "-l",
+                "RunSpecifiedTests",
+                "-w",
+                "0",
+                "--json",
+                "-c",
+                "-r",
+                "AccountServiceTest,ContactServiceTest",
+            ],
+            reportArguments,
+            reportArguments,
+            reportArguments,
+        ]);
+
+        let summary = readDeployResult();
+        assert.strictEqual(summary.checkOnly, true);
+        assert.strictEqual(summary.success, true);
+        assert.strictEqual(summary.componentsDeployed, 12);
+        assert.deepStrictEqual(summary.componentFailures, []);
+        assert.deepStrictEqual(summary.coverage, [{ name: "AccountService", type: "Class", locations: 20, notCovered: 5, percent: 75 }]);
+        assert.deepStrictEqual(getFailures(), []);
+    });
+
+    it("deploys without -c or -r and writes the component failures when the deployment fails", async () => {
+        Object.assign(config, { deployMergedPackage: "deploy", deployTestLevel: "RunLocalTests", deployTargetOrg: "prod" });
+        useResponses([failed]);
+        fs.mkdirSync(path.join(folder, "results"));
+        fs.writeFileSync(path.join(folder, "results", "pendingDeletions.json"), "[]");
+
+        assert.strictEqual(await deployMergedPackage(), false);
+        let calls = readCalls();
+        assert.deepStrictEqual(calls[0], ["force:mdapi:deploy", "-u", "prod", "-d", path.join(folder, defaultConfig.mergedPackageFolder), "-l", "RunLocalTests", "-w", "0", "--json"]);
+        assert.strictEqual(calls.length, 2);
+
+        let summary = readDeployResult();
+        assert.strictEqual(summary.checkOnly, false);
+        assert.strictEqual(summary.success, false);
+        assert.strictEqual(summary.targetOrg, "prod");
+        assert.deepStrictEqual(summary.componentFailures, [{ type: "ApexClass", name: "Broken", file: "classes/Broken.cls", line: "3", problem: "Unexpected token '}'." }]);
+        assert.deepStrictEqual(summary.coverage, []);
+        assert.strictEqual(getFailures().length, 1);
+        assert.ok(getFailures()[0] instanceof DeploymentError);
+        //the removed components weren't deleted, so they still have to go in the next destructive changes.
+        assert.strictEqual(fs.existsSync(path.join(folder, "results", "pendingDeletions.json")), true);
+    });
+
+    it("clears the pending deletions once a deployment succeeds", async () => {
+        Object.assign(config, { deployMergedPackage: "deploy", deployTestLevel: "NoTestRun" });
+        useResponses([succeeded]);
+        fs.mkdirSync(path.join(folder, "results"));
+        fs.writeFileSync(path.join(folder, "results", "pendingDeletions.json"), "[]");
+
+        assert.strictEqual(await deployMergedPackage(), true);
+        assert.strictEqual(fs.existsSync(path.join(folder, "results", "pendingDeletions.json")), false);
+    });
+
+    it("throws a DeploymentError when the deployment doesn't finish in time", async () => {
+        Object.assign(config, { deployMergedPackage: "validate", deployTestLevel: "NoTestRun", deployWaitMinutes: 0 });
+        useResponses([inProgress]);
+
+        await assert.rejects(deployMergedPackage(), (error) => error instanceof DeploymentError && /did not finish within 0 minutes/.test(error.message));
+        assert.strictEqual(readCalls().length, 2);
+        assert.strictEqual(fs.existsSync(path.join(folder, "results", "deployResult.json")), false);
+    });
+});
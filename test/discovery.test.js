@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { parseSelection, toNamePattern, parseConfigDate, selectChangeSets, parseChangeSetPage } = require("../lib/discovery");
+const { ConfigError, DiscoveryError } = require("../lib/errors");
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+describe("discovery.parseSelection", () => {
+    it("selects everything or nothing", () => {
+        assert.deepStrictEqual(parseSelection(" ALL ", 3), [0, 1, 2]);
+        assert.deepStrictEqual(parseSelection("none", 3), []);
+    });
+
+    it("converts numbers and ranges into zero based indexes without duplicates", () => {
+        assert.deepStrictEqual(parseSelection("1, 3, 5-7", 8), [0, 2, 4, 5, 6]);
+        assert.deepStrictEqual(parseSelection("2-3,3,2", 3), [1, 2]);
+        assert.deepStrictEqual(parseSelection("4 - 4", 4), [3]);
+    });
+
+    it("rejects answers that aren't valid", () => {
+        assert.strictEqual(parseSelection("0", 3), null);
+        assert.strictEqual(parseSelection("4", 3), null);
+        assert.strictEqual(parseSelection("3-1", 3), null);
+        assert.strictEqual(parseSelection("1,,2", 3), null);
+        assert.strictEqual(parseSelection("first", 3), null);
+    });
+});
+
+describe("discovery.toNamePattern", () => {
+    it("treats plain patterns as case insensitive globs that match the whole name", () => {
+        let pattern = toNamePattern("Sprint ?? - *");
+        assert.strictEqual(pattern.test("sprint 12 - Accounts"), true);
+        assert.strictEqual(pattern.test("Sprint 1 - Accounts"), false);
+        assert.strictEqual(pattern.test("Old Sprint 12 - Accounts"), false);
+    });
+
+    it("escapes regular expression characters in globs", () => {
+        let pattern = toNamePattern("Release 1.0 (hotfix)");
+        assert.strictEqual(pattern.test("Release 1.0 (hotfix)"), true);
+        assert.strictEqual(pattern.test("Release 1x0 (hotfix)"), false);
+    });
+
+    it("uses patterns wrapped in slashes as regular expressions", () => {
+        let pattern = toNamePattern("/^Sprint \\d+/i");
+        assert.strictEqual(pattern.test("SPRINT 4 extra"), true);
+        assert.strictEqual(pattern.test("Hotfix"), false);
+    });
+
+    it("throws a ConfigError for an invalid regular expression", () => {
+        assert.throws(() => toNamePattern("/[unclosed/"), ConfigError);
+    });
+});
+
+describe("discovery.parseChangeSetPage", () => {
+    it("reads the outbound change sets by column header", () => {
+        assert.deepStrictEqual(parseChangeSetPage(readFixture("outboundChangeSets.html"), "outbound"), [
+            {
+                name: "Sprint 12 - Accounts & Contacts",
+                direction: "outbound",
+                description: "New account fields, contact layout",
+                status: "Closed",
+                uploadedDate: new Date("10/3/2026 2:15 PM").toISOString(),
+                uploadedDateText: "10/3/2026 2:15 PM",
+                id: "0A27F0000008aAbSAI",
+            },
+            {
+                name: 'Hotfix/Pricing "urgent"',
+                direction: "outbound",
+                description: "",
+                status: "Open",
+                uploadedDate: null,
+                uploadedDateText: "",
+                id: "0A27F0000008aAcSAI",
+            },
+            {
+                name: "Release 1.0",
+                direction: "outbound",
+                description: "First release",
+                status: "Closed",
+                uploadedDate: new Date("9/28/2026 4:41 PM").toISOString(),
+                uploadedDateText: "9/28/2026 4:41 PM",
+                id: "0A27F0000008aAdSAI",
+            },
+        ]);
+    });
+
+    it("reads every list of the inbound page and skips 'No records to display'", () => {
+        assert.deepStrictEqual(parseChangeSetPage(readFixture("inboundChangeSets.html"), "inbound"), [
+            {
+                name: "Partner Integration",
+                direction: "inbound",
+                description: "Callout classes from the partner sandbox",
+                status: "",
+                uploadedDate: new Date("10/14/2026 11:30 AM").toISOString(),
+                uploadedDateText: "10/14/2026 11:30 AM",
+                id: "0A37F000000bCdEFGH",
+            },
+        ]);
+    });
+
+    it("reads the page out of the debug log with the control characters removed", () => {
+        let debugLog = `Compiled successfully.\nExecuted successfully.\n\n58.0 APEX_CODE,DEBUG\n12:00:00.1 (1)|USER_DEBUG|[3]|DEBUG|${readFixture("outboundChangeSets.html")}\n12:00:00.2 (2)|CODE_UNIT_FINISHED|execute_anonymous_apex`;
+        let changeSets = parseChangeSetPage(debugLog.replace(/[\u0000-\u001F\u007F-\u009F]/g, ""), "outbound");
+        assert.deepStrictEqual(
+            changeSets.map((changeSet) => changeSet.name),
+            ["Sprint 12 - Accounts & Contacts", 'Hotfix/Pricing "urgent"', "Release 1.0"]
+        );
+    });
+
+    it("keeps lists that share a table apart", () => {
+        let html = `<table>
+            <tr><th>Change Set Name</th><th>Upload Date</th></tr>
+            <tr><td><a href="/changemgmt/inboundChangeSetDetailPage.apexp?id=A1">Awaiting</a></td><td>10/1/2026 1:00 PM</td></tr>
+            <tr><th>Deploy Date</th><th>Change Set Name</th></tr>
+            <tr><td>10/2/2026 1:00 PM</td><td><a href="/changemgmt/inboundChangeSetDetailPage.apexp?id=A2">Deployed</a></td></tr>
+        </table>`;
+        assert.deepStrictEqual(
+            parseChangeSetPage(html, "inbound").map((changeSet) => [changeSet.name, changeSet.id, changeSet.uploadedDateText]),
+            [
+                ["Awaiting", "A1", "10/1/2026 1:00 PM"],
+                ["Deployed", "A2", ""],
+            ]
+        );
+    });
+
+    it("throws a DiscoveryError when the list can't be found", () => {
+        let html = readFixture("outboundChangeSets.html").replace(/Change Set Name/g, "Name");
+        assert.throws(() => parseChangeSetPage(html, "outbound"), DiscoveryError);
+        assert.throws(() => parseChangeSetPage("Executed successfully.", "inbound"), /page layout may have changed/);
+    });
+});
+
+describe("discovery date selection", () => {
+    before(() => useConfig({ ...defaultConfig, logLevel: "error" }));
+    after(() => useConfig({ ...defaultConfig, logLevel: "error" }));
+
+    //upload dates are scraped in the local time zone, so the test data is too.
+    const uploaded = (name, ...localDate) => ({ name: name, uploadedDate: new Date(...localDate).toISOString() });
+    const changeSets = [uploaded("Day before", 2026, 9, 2, 23, 59), uploaded("Morning", 2026, 9, 3, 0, 5), uploaded("Afternoon", 2026, 9, 3, 14, 15), uploaded("Day after", 2026, 9, 4, 0, 1), { name: "No date" }];
+
+    it("parses plain dates as local days, with the end of the day when asked", () => {
+        config.uploadedAfter = "2026-10-03";
+        assert.deepStrictEqual(parseConfigDate("uploadedAfter"), new Date(2026, 9, 3));
+        assert.deepStrictEqual(parseConfigDate("uploadedAfter", true), new Date(2026, 9, 3, 23, 59, 59, 999));
+        config.uploadedAfter = "2026-10-03T12:00:00Z";
+        assert.deepStrictEqual(parseConfigDate("uploadedAfter", true), new Date("2026-10-03T12:00:00Z"));
+    });
+
+    it("rejects dates that don't exist", () => {
+        for (const value of ["2026-02-30", "03/10/2026x", "soon"]) {
+            config.uploadedAfter = value;
+            assert.throws(() => parseConfigDate("uploadedAfter"), ConfigError);
+        }
+    });
+
+    it("selects the change sets uploaded during a single day", async () => {
+        Object.assign(config, { uploadedAfter: "2026-10-03", uploadedBefore: "2026-10-03" });
+        let selected = await selectChangeSets(changeSets);
+        assert.deepStrictEqual(
+            selected.map((changeSet) => changeSet.name),
+            ["Morning", "Afternoon", "No date"]
+        );
+    });
+
+    it("includes the whole of the uploadedBefore day", async () => {
+        Object.assign(config, { uploadedAfter: "", uploadedBefore: "2026-10-03" });
+        let selected = await selectChangeSets(changeSets);
+        assert.deepStrictEqual(
+            selected.map((changeSet) => changeSet.name),
+            ["Day before", "Morning", "Afternoon", "No date"]
+        );
+    });
+});
@@ -0,0 +1,263 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseString } = require("xml2js");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { createPackageXmlTemplate, mergeObjects, reconcileManifest, findFileCollisions, buildMergedPackageFolder, createSnapshot, diffSnapshots, buildDestructiveChanges } = require("../lib/manifest");
+const { ConfigError, MergeError } = require("../lib/errors");
+
+function parsePackage(typesXml) {
+    let packageData;
+    parseString(`<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata">${typesXml}<version>50.0</version></Package>`, (err, result) => (packageData = result));
+    return packageData;
+}
+
+function toPackageObject(types) {
+    return { Package: { types: Object.entries(types).map(([name, members]) => ({ name: name, members: members })) } };
+}
+
+function getTypes(packageObject) {
+    let types = {};
+    packageObject.Package.types.forEach((thisType) => (types[String(thisType.name)] = thisType.members));
+    return types;
+}
+
+before(() => useConfig({ ...defaultConfig, logLevel: "error" }));
+
+describe("manifest.mergeObjects", () => {
+    it("combines the members of each type without duplicates", () => {
+        let first = parsePackage("<types><members>B</members><members>A</members><name>ApexClass</name></types><types><members>Account.F__c</members><name>CustomField</name></types>");
+        let second = parsePackage("<types><members>A</members><members>C</members><name>ApexClass</name></types>");
+
+        let merged = mergeObjects([first, second], createPackageXmlTemplate());
+        assert.deepStrictEqual(getTypes(merged), { ApexClass: ["B", "A", "C"], CustomField: ["Account.F__c"] });
+    });
+
+    it("skips packages without any types", () => {
+        let merged = mergeObjects([parsePackage(""), undefined, parsePackage("<types><members>A</members><name>ApexPage</name></types>")], createPackageXmlTemplate());
+        assert.deepStrictEqual(getTypes(merged), { ApexPage: ["A"] });
+    });
+});
+
+describe("manifest.reconcileManifest", () => {
+    it("removes members covered by a wildcard", () => {
+        let packageObject = toPackageObject({ ApexClass: ["*", "A", "B"] });
+        assert.deepStrictEqual(reconcileManifest(packageObject), []);
+        assert.deepStrictEqual(getTypes(packageObject), { ApexClass: ["*"] });
+    });
+
+    it("keeps standard objects listed next to a CustomObject wildcard", () => {
+        let packageObject = toPackageObject({ CustomObject: ["*", "Account", "Invoice__c"] });
+        reconcileManifest(packageObject);
+        assert.deepStrictEqual(getTypes(packageObject), { CustomObject: ["*", "Account"] });
+    });
+
+    it("removes wildcards from types that don't support them and warns", () => {
+        let packageObject = toPackageObject({ Report: ["*", "Sales/Pipeline"] });
+        let warnings = reconcileManifest(packageObject);
+        assert.deepStrictEqual(getTypes(packageObject), { Report: ["Sales/Pipeline"] });
+        assert.strictEqual(warnings.length, 2);
+        assert.match(warnings[0], /Report does not support the \* wildcard/);
+        assert.match(warnings[1], /Report Sales\/Pipeline is in the package but its folder Sales is not/);
+    });
+
+    it("removes children whose parent is in the package", () => {
+        let packageObject = toPackageObject({ CustomObject: ["Invoice__c"], CustomField: ["Invoice__c.Total__c", "Account.Region__c"], CustomLabels: ["CustomLabels"], CustomLabel: ["Greeting"] });
+        assert.deepStrictEqual(reconcileManifest(packageObject), []);
+        assert.deepStrictEqual(getTypes(packageObject), { CustomObject: ["Invoice__c"], CustomField: ["Account.Region__c"], CustomLabels: ["CustomLabels"] });
+    });
+
+    it("warns about children of custom objects that aren't in the package", () => {
+        let packageObject = toPackageObject({ CustomField: ["Invoice__c.Total__c"] });
+        let warnings = reconcileManifest(packageObject);
+        assert.strictEqual(warnings.length, 1);
+        assert.match(warnings[0], /CustomField Invoice__c\.Total__c is in the package but its parent CustomObject Invoice__c is not/);
+    });
+
+    it("doesn't warn about report folders that are in the package", () => {
+        let packageObject = toPackageObject({ Report: ["Sales", "Sales/Pipeline", "unfiled$public/Mine"] });
+        assert.deepStrictEqual(reconcileManifest(packageObject), []);
+    });
+});
+
+describe("manifest.findFileCollisions", () => {
+    let rootFolder;
+
+    before(() => {
+        rootFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        let files = {
+            "CS 1/package.xml": "<Package/>",
+            "CS 1/classes/A.cls": "class A {}",
+            "CS 1/classes/B.cls": "class B {}",
+            "CS 2/package.xml": "<Package>different</Package>",
+            "CS 2/classes/A.cls": "class A { changed }",
+            "CS 2/classes/B.cls": "class B {}",
+            "CS 3/classes/A.cls": "class A { changed again }",
+        };
+        for (const [fileName, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(rootFolder, fileName)), { recursive: true });
+            fs.writeFileSync(path.join(rootFolder, fileName), content);
+        }
+    });
+
+    after(() => fs.rmSync(rootFolder, { recursive: true, force: true }));
+
+    it("lists files that differ between package folders in merge order, ignoring identical copies and package.xml", () => {
+        assert.deepStrictEqual(findFileCollisions(rootFolder, ["CS 1", "CS 2", "CS 3"]), [{ file: "classes/A.cls", changeSets: ["CS 1", "CS 2", "CS 3"] }]);
+    });
+
+    it("only checks the given folders", () => {
+        assert.deepStrictEqual(findFileCollisions(rootFolder, ["CS 1"]), []);
+    });
+});
+
+describe("manifest.buildMergedPackageFolder", () => {
+    let rootFolder;
+    const mergedFile = (fileName) => path.join(rootFolder, "__mergedPackage", fileName);
+
+    before(() => {
+        rootFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        let files = {
+            "CS 1/classes/A.cls": "class A {}",
+            "CS 2/classes/A.cls": "class A { changed }",
+            "CS 2/classes/B.cls": "class B {}",
+            "__mergedPackage/classes/Old.cls": "class Old {}",
+        };
+        for (const [fileName, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(rootFolder, fileName)), { recursive: true });
+            fs.writeFileSync(path.join(rootFolder, fileName), content);
+        }
+    });
+
+    after(() => {
+        fs.rmSync(rootFolder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    it("leaves the last merged package in place when a collision stops the merge", () => {
+        assert.throws(() => buildMergedPackageFolder(rootFolder, "__mergedPackage"), MergeError);
+        assert.strictEqual(fs.readFileSync(mergedFile("classes/Old.cls"), "utf8"), "class Old {}");
+        assert.strictEqual(fs.existsSync(mergedFile("classes/B.cls")), false);
+    });
+
+    it("rebuilds the merged package from scratch once the collisions are resolved", () => {
+        config.mergeOverrides = { "classes/A.cls": "CS 1" };
+        assert.strictEqual(buildMergedPackageFolder(rootFolder, "__mergedPackage"), true);
+        assert.strictEqual(fs.readFileSync(mergedFile("classes/A.cls"), "utf8"), "class A {}");
+        assert.strictEqual(fs.existsSync(mergedFile("classes/B.cls")), true);
+        assert.strictEqual(fs.existsSync(mergedFile("classes/Old.cls")), false);
+    });
+});
+
+describe("manifest snapshots", () => {
+    let rootFolder;
+    const packageXml = (typesXml) => `<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata">${typesXml}<version>50.0</version></Package>`;
+    const writeFiles = (files) => {
+        for (const [fileName, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(rootFolder, fileName)), { recursive: true });
+            fs.writeFileSync(path.join(rootFolder, fileName), content);
+        }
+    };
+
+    before(() => {
+        rootFolder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        writeFiles({
+            "CS 1/package.xml": packageXml("<types><members>A</members><members>Old</members><name>ApexClass</name></types>"),
+            "CS 1/classes/A.cls": "class A {}",
+            "CS 1/classes/A.cls-meta.xml": "<ApexClass/>",
+            "CS 1/classes/Old.cls": "class Old {}",
+            "CS 1/classes/Old.cls-meta.xml": "<ApexClass/>",
+            "CS 2/package.xml": packageXml("<types><members>A</members><name>ApexClass</name></types><types><members>Home</members><name>ApexPage</name></types>"),
+            "CS 2/classes/A.cls": "class A { changed }",
+            "CS 2/classes/A.cls-meta.xml": "<ApexClass/>",
+            "CS 2/pages/Home.page": "<apex:page/>",
+            "CS 2/pages/Home.page-meta.xml": "<ApexPage/>",
+        });
+    });
+
+    after(() => {
+        fs.rmSync(rootFolder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    it("records which change set's copy of each component is merged, with the hash of its files", () => {
+        let snapshot = createSnapshot({ Package: {} }, rootFolder);
+        assert.deepStrictEqual(Object.keys(snapshot.components).sort(), ["ApexClass:A", "ApexClass:Old", "ApexPage:Home"]);
+        assert.strictEqual(snapshot.components["ApexClass:A"].changeSet, "CS 2");
+        assert.strictEqual(snapshot.components["ApexClass:Old"].changeSet, "CS 1");
+        assert.match(snapshot.components["ApexClass:A"].hash, /^[0-9a-f]+$/);
+
+        config.mergeOverrides = { "classes/A.cls": "CS 1" };
+        let overridden = createSnapshot({ Package: {} }, rootFolder);
+        config.mergeOverrides = {};
+        assert.strictEqual(overridden.components["ApexClass:A"].changeSet, "CS 1");
+        assert.notStrictEqual(overridden.components["ApexClass:A"].hash, snapshot.components["ApexClass:A"].hash);
+    });
+
+    it("lists the components added, removed and modified since the previous snapshot", () => {
+        let previous = createSnapshot({ Package: {} }, rootFolder);
+        assert.deepStrictEqual(
+            diffSnapshots(null, previous).added.map((component) => component.member).sort(),
+            ["A", "Home", "Old"]
+        );
+
+        writeFiles({
+            "CS 1/package.xml": packageXml("<types><members>A</members><name>ApexClass</name></types>"),
+            "CS 2/classes/A.cls": "class A { changed again }",
+            "CS 3/package.xml": packageXml("<types><members>New</members><name>ApexClass</name></types>"),
+            "CS 3/classes/New.cls": "class New {}",
+            "CS 3/classes/New.cls-meta.xml": "<ApexClass/>",
+        });
+        let changes = diffSnapshots(previous, createSnapshot({ Package: {} }, rootFolder));
+
+        assert.deepStrictEqual(
+            changes.added.map((component) => `${component.type}:${component.member}`),
+            ["ApexClass:New"]
+        );
+        assert.deepStrictEqual(
+            changes.removed.map((component) => `${component.type}:${component.member}`),
+            ["ApexClass:Old"]
+        );
+        assert.deepStrictEqual(
+            changes.modified.map((component) => [component.member, component.changeSet, component.previousChangeSet]),
+            [["A", "CS 2", "CS 2"]]
+        );
+    });
+});
+
+describe("manifest.buildDestructiveChanges", () => {
+    let folder;
+    const merged = toPackageObject({ ApexClass: ["Kept"], CustomField: ["Account.Kept__c"] });
+
+    before(() => (folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"))));
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    it("deletes the removed components and those in the deleted components file, except ones still in a change set", () => {
+        fs.writeFileSync(path.join(folder, "deleted.json"), JSON.stringify({ CustomField: ["Account.Gone__c", "Account.Kept__c"], ApexPage: ["*"] }));
+        config.deletedComponentsFile = path.join(folder, "deleted.json");
+
+        let destructiveData = buildDestructiveChanges(
+            [
+                { type: "ApexClass", member: "Old" },
+                { type: "ApexClass", member: "Kept" },
+                { type: "ApexClass", member: "Another" },
+            ],
+            merged
+        );
+        assert.deepStrictEqual(getTypes(destructiveData), { ApexClass: ["Another", "Old"], CustomField: ["Account.Gone__c"] });
+    });
+
+    it("throws a ConfigError when the deleted components file isn't a map of type to members", () => {
+        for (const content of ['["Account.Gone__c"]', '{"CustomField": "Account.Gone__c"}', "{"]) {
+            fs.writeFileSync(path.join(folder, "deleted.json"), content);
+            assert.throws(() => buildDestructiveChanges([], merged), ConfigError);
+        }
+        config.deletedComponentsFile = path.join(folder, "missing.json");
+        assert.throws(() => buildDestructiveChanges([], merged), ConfigError);
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { jsonToCSV, updatePendingDeletions, clearPendingDeletions } = require("../lib/output");
+
+describe("output.jsonToCSV", () => {
+    it("writes a column per type and a row per member, padding shorter columns", () => {
+        let csv = jsonToCSV({ Package: { types: [{ name: "ApexClass", members: ["A", "B"] }, { name: "ApexPage", members: ["P"] }] } });
+        assert.strictEqual(csv, '"ApexClass","ApexPage",\r\n"A","P",\r\n"B","",\r\n');
+    });
+
+    it("quotes values that contain commas and quotes", () => {
+        let csv = jsonToCSV({ Package: { types: [{ name: "Report", members: ['Sales/Pipeline, "Q1"'] }] } });
+        assert.strictEqual(csv, '"Report",\r\n"Sales/Pipeline, ""Q1""",\r\n');
+    });
+
+    it("doesn't leak variables into the global scope", () => {
+        jsonToCSV({ Package: { types: [{ name: "ApexClass", members: ["A"] }] } });
+        assert.strictEqual(Object.prototype.hasOwnProperty.call(global, "col"), false);
+    });
+});
+
+describe("output.updatePendingDeletions", () => {
+    let folder;
+    const merged = (types) => ({ Package: { types: Object.entries(types).map(([name, members]) => ({ name: [name], members: members })) } });
+    const toKeys = (components) => components.map((component) => `${component.type}:${component.member}`);
+
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        useConfig({ ...defaultConfig, logLevel: "error", outputFolder: folder });
+    });
+
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    it("keeps removed components across runs until they are back in a change set", () => {
+        let pending = updatePendingDeletions([{ type: "ApexClass", member: "Old" }, { type: "CustomField", member: "Account.Old__c" }], merged({ ApexClass: ["Current"] }));
+        assert.deepStrictEqual(toKeys(pending), ["ApexClass:Old", "CustomField:Account.Old__c"]);
+
+        //the next run's snapshot comparison no longer shows the removals.
+        pending = updatePendingDeletions([], merged({ ApexClass: ["Current"] }));
+        assert.deepStrictEqual(toKeys(pending), ["ApexClass:Old", "CustomField:Account.Old__c"]);
+
+        pending = updatePendingDeletions([{ type: "ApexClass", member: "Old" }], merged({ ApexClass: ["Current"], CustomField: ["Account.Old__c"] }));
+        assert.deepStrictEqual(toKeys(pending), ["ApexClass:Old"]);
+    });
+
+    it("ignores removals when only some change sets are merged", () => {
+        config.onlyChangeSets = ["Change Set 1"];
+        let pending = updatePendingDeletions([{ type: "ApexPage", member: "Skipped" }], merged({}));
+        config.onlyChangeSets = [];
+        assert.deepStrictEqual(toKeys(pending), ["ApexClass:Old"]);
+    });
+
+    it("forgets the pending deletions once they are cleared", () => {
+        assert.strictEqual(clearPendingDeletions(), 1);
+        assert.strictEqual(fs.existsSync(path.join(folder, "pendingDeletions.json")), false);
+        assert.strictEqual(clearPendingDeletions(), 0);
+        assert.deepStrictEqual(updatePendingDeletions([], merged({})), []);
+    });
+});
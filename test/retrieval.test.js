@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { isRetryableFailure, fetchChangeSets, commitChangeSet } = require("../lib/retrieval");
+const { RetrievalError, getFailures, clearFailures } = require("../lib/errors");
+
+const packageXml = (types) =>
+    `<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata">${Object.entries(types)
+        .map(([name, members]) => `<types>${members.map((member) => `<members>${member}</members>`).join("")}<name>${name}</name></types>`)
+        .join("")}<version>50.0</version></Package>`;
+
+describe("retrieval.isRetryableFailure", () => {
+    it("retries timeouts, dropped connections, API limits and unavailable servers", () => {
+        assert.strictEqual(isRetryableFailure("ERROR running force:mdapi:retrieve: Polling time out"), true);
+        assert.strictEqual(isRetryableFailure("Error: socket hang up"), true);
+        assert.strictEqual(isRetryableFailure("REQUEST_LIMIT_EXCEEDED: TotalRequests Limit exceeded."), true);
+        assert.strictEqual(isRetryableFailure("ERROR: HTTP 503"), true);
+        assert.strictEqual(isRetryableFailure("HTTP/1.1 503 Service Unavailable"), true);
+        assert.strictEqual(isRetryableFailure("Request failed with status code 503"), true);
+    });
+
+    it("doesn't retry permanent failures that happen to contain 503", () => {
+        assert.strictEqual(isRetryableFailure("Entity of type 'ApexClass' named 'Case503' cannot be found"), false);
+        assert.strictEqual(isRetryableFailure("classes/Broken.cls: Unexpected token at line 503"), false);
+        assert.strictEqual(isRetryableFailure("No change set named Release 503 was found"), false);
+    });
+});
+
+describe("retrieval with the stub sfdx", () => {
+    let folder;
+    let originalPath = process.env.PATH;
+    let originalFolder = process.cwd();
+    const git = (...args) => execFileSync("git", args, { encoding: "utf8" }).trim();
+    const useResponses = (retrieve) => fs.writeFileSync(path.join(folder, "responses.json"), JSON.stringify({ retrieve: retrieve }));
+    const readRetrieveCalls = () => fs.readFileSync(path.join(folder, "calls.log"), "utf8").trim().split("\n").map((line) => JSON.parse(line)).filter((call) => call[0] == "force:mdapi:retrieve");
+
+    //puts the stub sfdx in test/fixtures/bin first on the PATH and runs in an empty git repo, so no org, SFDX CLI or real project is needed.
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        process.env.PATH = path.join(__dirname, "fixtures", "bin") + path.delimiter + originalPath;
+        process.env.STUB_SFDX_FOLDER = folder;
+        process.chdir(folder);
+        git("init", "-q");
+        git("config", "user.name", "Test");
+        git("config", "user.email", "test@example.com");
+        git("config", "commit.gpgsign", "false");
+        fs.writeFileSync(path.join(folder, ".gitignore"), "calls.log\nresponses.json\nresults/\n");
+        git("add", ".gitignore");
+        git("commit", "-q", "-m", "Initial commit");
+    });
+
+    after(() => {
+        process.chdir(originalFolder);
+        process.env.PATH = originalPath;
+        delete process.env.STUB_SFDX_FOLDER;
+        fs.rmSync(folder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    beforeEach(() => {
+        useConfig({ ...defaultConfig, logLevel: "error", rootFolder: path.join(folder, "packages"), outputFolder: path.join(folder, "results"), retryDelaySeconds: 0, downloadRetries: 2 });
+        clearFailures();
+        fs.rmSync(path.join(folder, "calls.log"), { force: true });
+    });
+
+    it("retries failures that may go away, gives up on the rest and summarizes every change set", async () => {
+        useResponses({
+            "Sprint 1": [{ files: { "package.xml": packageXml({ ApexClass: ["AccountService"] }), "classes/AccountService.cls": "public class AccountService {}" } }],
+            Flaky: [{ error: "Polling time out. Please check the status" }, { error: "socket hang up" }, { files: { "package.xml": packageXml({}) } }],
+            Down: [{ error: "REQUEST_LIMIT_EXCEEDED: TotalRequests Limit exceeded." }],
+            Missing: [{ error: "No change set named Missing was found" }],
+        });
+
+        let results = await fetchChangeSets(["Sprint 1", "Flaky", "Down", "Missing"]);
+        assert.deepStrictEqual(
+            results.map((result) => [result.name, result.status, result.attempts]),
+            [
+                ["Sprint 1", "fetched", 1],
+                ["Flaky", "fetched", 3],
+                ["Down", "failed", 3],
+                ["Missing", "failed", 1],
+            ]
+        );
+        assert.match(results[3].reason, /No change set named Missing was found/);
+        assert.strictEqual(fs.readFileSync(path.join(config.rootFolder, "Sprint 1", "classes", "AccountService.cls"), "utf8"), "public class AccountService {}");
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(config.outputFolder, "fetchSummary.json"), "utf8")), results);
+
+        let failures = getFailures();
+        assert.strictEqual(failures.length, 1);
+        assert.ok(failures[0] instanceof RetrievalError);
+        assert.deepStrictEqual(
+            failures[0].details.results.map((result) => result.name),
+            ["Down", "Missing"]
+        );
+    });
+
+    it("passes the change set name as its own argument and skips change sets that were already downloaded", async () => {
+        useResponses({});
+        let results = await fetchChangeSets(['Fix "quotes" & $HOME', "Sprint 1"]);
+        assert.deepStrictEqual(
+            results.map((result) => result.status),
+            ["fetched", "skipped"]
+        );
+
+        let calls = readRetrieveCalls();
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(calls[0][calls[0].indexOf("-p") + 1], 'Fix "quotes" & $HOME');
+        assert.strictEqual(fs.existsSync(path.join(config.rootFolder, 'Fix _quotes_ & $HOME', "package.xml")), true);
+    });
+
+    it("fails change sets whose folder name is already used by another change set", async () => {
+        useResponses({});
+        config.skipExistingChangeSets = false;
+
+        let results = await fetchChangeSets(["Release: 1", "Release? 1"]);
+        assert.deepStrictEqual(
+            results.map((result) => [result.name, result.status]),
+            [
+                ["Release: 1", "fetched"],
+                ["Release? 1", "failed"],
+            ]
+        );
+        assert.match(results[1].reason, /Folder name "Release_ 1" is already used by change set "Release: 1"/);
+        assert.deepStrictEqual(
+            readRetrieveCalls().map((call) => call[call.indexOf("-p") + 1]),
+            ["Release: 1"]
+        );
+    });
+
+    it("commits each change set once with a Change-Set trailer", async () => {
+        config.gitCommitMode = "commit";
+        useResponses({ "Sprint 10": [{ files: { "package.xml": packageXml({ ApexClass: ["B", "A"], ApexPage: ["Home"] }) } }] });
+        await fetchChangeSets(["Sprint 10"]);
+
+        assert.strictEqual(
+            git("log", "-1", "--format=%B"),
+            "Add change set: Sprint 10\n\nComponents:\n- ApexClass: A, B\n- ApexPage: Home\n\nChange-Set: Sprint 10"
+        );
+        assert.deepStrictEqual(git("show", "--name-only", "--format=", "HEAD").split("\n"), ["packages/Sprint 10/package.xml"]);
+
+        //'Sprint 1' is a prefix of 'Sprint 10', so only an exact trailer match counts as already committed.
+        let headBefore = git("rev-parse", "HEAD");
+        await commitChangeSet("Sprint 10");
+        assert.strictEqual(git("rev-parse", "HEAD"), headBefore);
+        await commitChangeSet("Sprint 1");
+        assert.strictEqual(git("log", "-1", "--format=%(trailers:key=Change-Set,valueonly)"), "Sprint 1");
+    });
+
+    it("commits to a branch per change set without touching the current branch", async () => {
+        config.gitCommitMode = "branch";
+        let headBefore = git("rev-parse", "HEAD");
+        useResponses({ "Hotfix ~2": [{ files: { "package.xml": packageXml({ ApexTrigger: ["AccountTrigger"] }) } }] });
+        await fetchChangeSets(["Hotfix ~2"]);
+
+        assert.strictEqual(git("rev-parse", "HEAD"), headBefore);
+        assert.strictEqual(git("log", "-1", "--format=%s", "changeset/Hotfix-2"), "Add change set: Hotfix ~2");
+        assert.strictEqual(git("rev-parse", "changeset/Hotfix-2^"), headBefore);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { toFolderName, isChangeSetListed } = require("../lib/utils");
+
+describe("utils.toFolderName", () => {
+    it("leaves safe names alone", () => {
+        assert.strictEqual(toFolderName("Sprint 12 - Accounts"), "Sprint 12 - Accounts");
+    });
+
+    it("replaces characters that aren't allowed in folder names", () => {
+        assert.strictEqual(toFolderName('a/b\\c:d*e?f"g<h>i|j'), "a_b_c_d_e_f_g_h_i_j");
+        assert.strictEqual(toFolderName("tab\there"), "tab_here");
+    });
+
+    it("replaces trailing dots and spaces", () => {
+        assert.strictEqual(toFolderName("Release 1.. "), "Release 1___");
+    });
+
+    it("makes names that refer to the current or parent folder safe", () => {
+        assert.strictEqual(toFolderName("."), "_");
+        assert.strictEqual(toFolderName(".."), "__");
+        assert.strictEqual(toFolderName(""), "_");
+    });
+
+    it("prefixes names reserved by Windows", () => {
+        assert.strictEqual(toFolderName("CON"), "_CON");
+        assert.strictEqual(toFolderName("nul.txt"), "_nul.txt");
+        assert.strictEqual(toFolderName("COM1"), "_COM1");
+        assert.strictEqual(toFolderName("CONSOLE"), "CONSOLE");
+    });
+});
+
+describe("utils.isChangeSetListed", () => {
+    it("matches either the name or the folder name", () => {
+        assert.strictEqual(isChangeSetListed("A/B", ["A/B"]), true);
+        assert.strictEqual(isChangeSetListed("A/B", ["A_B"]), true);
+        assert.strictEqual(isChangeSetListed("A_B", ["A/B"]), true);
+        assert.strictEqual(isChangeSetListed("A", ["A B"]), false);
+    });
+});
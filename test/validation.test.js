@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defaultConfig, useConfig } = require("../lib/config");
+const { validatePackageFolder } = require("../lib/validation");
+
+const packageXml = (types) =>
+    `<?xml version="1.0" encoding="UTF-8"?><Package xmlns="http://soap.sforce.com/2006/04/metadata">${Object.entries(types)
+        .map(([name, members]) => `<types>${members.map((member) => `<members>${member}</members>`).join("")}<name>${name}</name></types>`)
+        .join("")}<version>50.0</version></Package>`;
+
+before(() => useConfig({ ...defaultConfig, logLevel: "error" }));
+
+describe("validation.validatePackageFolder", () => {
+    let folder;
+
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        let files = {
+            "package.xml": packageXml({
+                ApexClass: ["AccountService", "Missing"],
+                CustomField: ["Account.First__c", "Account.Second__c"],
+                RecordType: ["Account.Partner"],
+                CustomLabel: ["Greeting"],
+                LightningComponentBundle: ["accountCard"],
+                Translations: ["fr"],
+            }),
+            "classes/AccountService.cls": "public class AccountService {}",
+            "classes/AccountService.cls-meta.xml": '<?xml version="1.0" encoding="UTF-8"?><ApexClass><apiVersion>50.0</apiVersion></ApexClass>',
+            "classes/Missing.cls": "public class Missing {}",
+            //the merge kept the copy of Account.object from a change set that only added First__c.
+            "objects/Account.object": '<?xml version="1.0" encoding="UTF-8"?><CustomObject xmlns="http://soap.sforce.com/2006/04/metadata"><fields><fullName>First__c</fullName></fields></CustomObject>',
+            "labels/CustomLabels.labels": '<?xml version="1.0" encoding="UTF-8"?><CustomLabels><labels><fullName>Greeting</fullName></labels></CustomLabels>',
+            "lwc/accountCard/accountCard.js": "export default class AccountCard {}",
+            "pages/Orphan.page": "<apex:page/>",
+            "pages/Orphan.page-meta.xml": "<ApexPage><apiVersion>50.0",
+            "translations/fr.translation": "<Translations/>",
+        };
+        for (const [fileName, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(folder, fileName)), { recursive: true });
+            fs.writeFileSync(path.join(folder, fileName), content);
+        }
+    });
+
+    after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    it("finds missing files, missing child members, orphan files and malformed XML", () => {
+        let result = validatePackageFolder(folder);
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.missingFiles, [{ type: "ApexClass", member: "Missing", file: "classes/Missing.cls-meta.xml" }]);
+        assert.deepStrictEqual(result.missingMembers, [
+            { type: "CustomField", member: "Account.Second__c", file: "objects/Account.object" },
+            { type: "RecordType", member: "Account.Partner", file: "objects/Account.object" },
+        ]);
+        assert.deepStrictEqual(result.orphanFiles.sort(), ["pages/Orphan.page", "pages/Orphan.page-meta.xml"]);
+        assert.deepStrictEqual(
+            result.malformedFiles.map((malformed) => malformed.file),
+            ["pages/Orphan.page-meta.xml"]
+        );
+        assert.deepStrictEqual(result.uncheckedMembers, [{ type: "Translations", member: "fr" }]);
+        assert.deepStrictEqual(result.uncheckedFiles, ["translations/fr.translation"]);
+    });
+
+    it("passes a package whose files and child members are all there", () => {
+        fs.writeFileSync(path.join(folder, "package.xml"), packageXml({ ApexClass: ["AccountService"], CustomField: ["Account.First__c"], CustomLabel: ["Greeting"], LightningComponentBundle: ["accountCard"] }));
+        fs.rmSync(path.join(folder, "classes", "Missing.cls"));
+        fs.rmSync(path.join(folder, "pages"), { recursive: true });
+        fs.rmSync(path.join(folder, "translations"), { recursive: true });
+
+        let result = validatePackageFolder(folder);
+        assert.deepStrictEqual(result.missingFiles, []);
+        assert.deepStrictEqual(result.missingMembers, []);
+        assert.deepStrictEqual(result.orphanFiles, []);
+        assert.strictEqual(result.valid, true);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defaultConfig, config, useConfig } = require("../lib/config");
+const { findNewChangeSets, checkForNewChangeSets } = require("../lib/watch");
+const { MergeError, RetrievalError, getFailures } = require("../lib/errors");
+
+describe("watch", () => {
+    let folder;
+    let originalPath = process.env.PATH;
+    const readJSON = (fileName) => JSON.parse(fs.readFileSync(path.join(folder, fileName), "utf8"));
+    //discovery returns whatever names are in discovered.json, so each test can say what is in the org.
+    const useOrg = (names, retrieve) => {
+        fs.writeFileSync(path.join(folder, "discovered.json"), JSON.stringify(names));
+        fs.writeFileSync(path.join(folder, "responses.json"), JSON.stringify({ retrieve: retrieve || {} }));
+    };
+
+    //puts the stub sfdx in test/fixtures/bin first on the PATH, so no org or SFDX CLI is needed.
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"));
+        process.env.PATH = path.join(__dirname, "fixtures", "bin") + path.delimiter + originalPath;
+        process.env.STUB_SFDX_FOLDER = folder;
+
+        fs.writeFileSync(
+            path.join(folder, "discovery.js"),
+            `const fs = require("fs");\nmodule.exports = async () => JSON.parse(fs.readFileSync(${JSON.stringify(path.join(folder, "discovered.json"))}, "utf8")).map((name) => ({ name: name, direction: "outbound" }));\n`
+        );
+        fs.writeFileSync(path.join(folder, "hook.js"), `require("fs").writeFileSync(${JSON.stringify(path.join(folder, "hook.json"))}, process.env.CHANGE_SET_SUMMARY);\n`);
+    });
+
+    after(() => {
+        process.env.PATH = originalPath;
+        delete process.env.STUB_SFDX_FOLDER;
+        fs.rmSync(folder, { recursive: true, force: true });
+        useConfig({ ...defaultConfig, logLevel: "error" });
+    });
+
+    beforeEach(() => {
+        useConfig({
+            ...defaultConfig,
+            logLevel: "error",
+            rootFolder: path.join(folder, "packages"),
+            outputFolder: path.join(folder, "results"),
+            changesetJSONFile: path.join(folder, "changeSetNames.json"),
+            changeSetDiscovery: path.join(folder, "discovery.js"),
+            retryDelaySeconds: 0,
+            downloadRetries: 0,
+            watchHook: `node "${path.join(folder, "hook.js")}"`,
+        });
+        fs.rmSync(path.join(folder, "hook.json"), { force: true });
+    });
+
+    it("finds the change sets that weren't known before and haven't been downloaded", () => {
+        fs.mkdirSync(path.join(config.rootFolder, "Release_ 2"), { recursive: true });
+        assert.deepStrictEqual(findNewChangeSets(["Release 1", "Release: 2", "Release 3"], ["Release 1"]), ["Release 3"]);
+    });
+
+    it("reports a merge that fails to the hook and still treats the change sets as fetched", async () => {
+        useOrg(["Release 1", "Release 4"]);
+        fs.writeFileSync(config.changesetJSONFile, JSON.stringify(["Release 1"]));
+
+        let pendingNames = await checkForNewChangeSets([], async () => {
+            throw new MergeError("1 files differ between change sets and have no entry in mergeOverrides. Merged package was not built.");
+        });
+        assert.deepStrictEqual(pendingNames, []);
+
+        let summary = readJSON("hook.json");
+        assert.deepStrictEqual(readJSON("results/watchSummary.json"), summary);
+        assert.deepStrictEqual(summary.newChangeSets, ["Release 4"]);
+        assert.deepStrictEqual(summary.fetched, ["Release 4"]);
+        assert.match(summary.mergeError, /Merged package was not built/);
+        assert.strictEqual(summary.changes, null);
+        assert.ok(getFailures().some((failure) => failure instanceof MergeError));
+        assert.strictEqual(fs.existsSync(path.join(config.outputFolder, "lastRun.json")), true);
+
+        //the next check doesn't see the change set as new again.
+        fs.rmSync(path.join(folder, "hook.json"));
+        assert.deepStrictEqual(await checkForNewChangeSets([], async () => assert.fail("nothing new to merge")), []);
+        assert.strictEqual(fs.existsSync(path.join(folder, "hook.json")), false);
+    });
+
+    it("tries change sets that failed to download again on the next check", async () => {
+        fs.rmSync(path.join(config.outputFolder, "lastRun.json"));
+        useOrg(["Release 1", "Release 4", "Release 5"], { "Release 5": [{ error: "No change set named Release 5 was found" }, { files: { "package.xml": "<Package/>" } }] });
+
+        let merges = 0;
+        const merge = async () => {
+            merges++;
+            return { changes: { added: [{ type: "ApexClass", member: "Release5" }], removed: [], modified: [] } };
+        };
+
+        let pendingNames = await checkForNewChangeSets([], merge);
+        assert.deepStrictEqual(pendingNames, ["Release 5"]);
+        assert.strictEqual(merges, 0);
+        assert.deepStrictEqual(readJSON("hook.json").failed, [{ name: "Release 5", reason: "ERROR running force:mdapi:retrieve:  No change set named Release 5 was found" }]);
+        assert.ok(getFailures().some((failure) => failure instanceof RetrievalError));
+        assert.strictEqual(fs.existsSync(path.join(config.outputFolder, "lastRun.json")), false);
+
+        pendingNames = await checkForNewChangeSets(pendingNames, merge);
+        assert.deepStrictEqual(pendingNames, []);
+        assert.strictEqual(merges, 1);
+        let summary = readJSON("hook.json");
+        assert.deepStrictEqual(summary.fetched, ["Release 5"]);
+        assert.deepStrictEqual(summary.changes, { added: ["ApexClass:Release5"], removed: [], modified: [] });
+        assert.strictEqual(fs.existsSync(path.join(config.outputFolder, "lastRun.json")), true);
+    });
+});
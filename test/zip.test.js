@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { extractZip } = require("../lib/zip");
+const { RetrievalError } = require("../lib/errors");
+
+/**
+ * Builds a zip archive in memory. Entries ending in / are folders, and deflate chooses between deflated and stored entries. The CRC is left as zero since extractZip doesn't check it.
+ */
+function createZip(entries, deflate) {
+    let localParts = [];
+    let centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(entries)) {
+        let nameBuffer = Buffer.from(name, "utf8");
+        let data = Buffer.from(content || "", "utf8");
+        let method = deflate && !name.endsWith("/") ? 8 : 0;
+        let compressed = method == 8 ? zlib.deflateRawSync(data) : data;
+
+        let local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x800, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        let central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    let centralDirectory = Buffer.concat(centralParts);
+    let end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(entries).length, 8);
+    end.writeUInt16LE(Object.keys(entries).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+describe("zip.extractZip", () => {
+    let folder;
+
+    before(() => (folder = fs.mkdtempSync(path.join(os.tmpdir(), "changeLogBuilder-test-"))));
+    after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    const writeZip = (name, entries, deflate) => {
+        let zipFile = path.join(folder, name);
+        fs.writeFileSync(zipFile, createZip(entries, deflate));
+        return zipFile;
+    };
+
+    for (const deflate of [true, false]) {
+        it(`extracts ${deflate ? "deflated" : "stored"} entries into nested folders`, () => {
+            let zipFile = writeZip(`package-${deflate}.zip`, { "unpackaged/": "", "unpackaged/package.xml": "<Package/>", "unpackaged/classes/A.cls": "public class A {}".repeat(50), "unpackaged/classes/Empty.cls": "" }, deflate);
+            let target = path.join(folder, `extracted-${deflate}`);
+
+            let files = extractZip(zipFile, target);
+
+            assert.deepStrictEqual(files.sort(), [path.join("unpackaged", "classes", "A.cls"), path.join("unpackaged", "classes", "Empty.cls"), path.join("unpackaged", "package.xml")]);
+            assert.strictEqual(fs.readFileSync(path.join(target, "unpackaged", "classes", "A.cls"), "utf8"), "public class A {}".repeat(50));
+            assert.strictEqual(fs.readFileSync(path.join(target, "unpackaged", "classes", "Empty.cls"), "utf8"), "");
+        });
+    }
+
+    it("accepts backslashes as folder separators", () => {
+        let target = path.join(folder, "backslashes");
+        extractZip(writeZip("backslashes.zip", { "classes\\B.cls": "class B" }, true), target);
+        assert.strictEqual(fs.readFileSync(path.join(target, "classes", "B.cls"), "utf8"), "class B");
+    });
+
+    it("rejects entries that would be written outside the target folder", () => {
+        let target = path.join(folder, "traversal");
+        for (const name of ["../escaped.txt", "classes/../../escaped.txt", "..\\escaped.txt"]) {
+            let zipFile = writeZip("traversal.zip", { [name]: "bad" }, false);
+            assert.throws(() => extractZip(zipFile, target), (err) => err instanceof RetrievalError && /unsafe path/.test(err.message));
+        }
+        assert.strictEqual(fs.existsSync(path.join(folder, "escaped.txt")), false);
+    });
+
+    it("rejects files that aren't zip archives", () => {
+        let notZip = path.join(folder, "notzip.zip");
+        fs.writeFileSync(notZip, "just some text that is long enough to search through for a signature");
+        assert.throws(() => extractZip(notZip, path.join(folder, "notzip")), (err) => err instanceof RetrievalError && /is not a zip archive/.test(err.message));
+    });
+
+    it("rejects unsupported compression methods", () => {
+        let data = createZip({ "a.txt": "abc" }, false);
+        //change the method in both the local header and the central directory to bzip2.
+        data.writeUInt16LE(12, 8);
+        data.writeUInt16LE(12, data.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 10);
+        let zipFile = path.join(folder, "bzip2.zip");
+        fs.writeFileSync(zipFile, data);
+        assert.throws(() => extractZip(zipFile, path.join(folder, "bzip2")), (err) => err instanceof RetrievalError && /compression method 12/.test(err.message));
+    });
+});